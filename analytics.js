@@ -3,6 +3,8 @@
 
 const AnalyticsDisplay = {
 
+    preMergeData: null,
+
     /**
      * Initialize analytics display after photos are loaded
      * @param {string} uid - Order UID
@@ -35,17 +37,32 @@ const AnalyticsDisplay = {
         }
     },
 
+    /**
+     * Fetch pre_merge_data.json once (shared with the photo details panel)
+     * @returns {Promise<Object|null>} Parsed data, or null if unavailable
+     */
+    fetchPreMergeData(uid) {
+        if (!this.preMergeData) {
+            const url = `${S3_BASE_URL}/face-intermediate/${uid}/pre_merge_data.json`;
+            this.preMergeData = fetch(url)
+                .then(response => response.ok ? response.json() : null)
+                .catch(e => {
+                    console.log('[ANALYTICS] Could not fetch pre_merge_data.json:', e.message);
+                    return null;
+                });
+        }
+        return this.preMergeData;
+    },
+
     /**
      * Fetch processing stats from pre_merge_data.json
      */
     async fetchProcessingStats(uid) {
         try {
-            const url = `https://order-by-age-uploads.s3.amazonaws.com/face-intermediate/${uid}/pre_merge_data.json`;
-            const response = await fetch(url);
+            const data = await this.fetchPreMergeData(uid);
             
-            if (!response.ok) return {};
+            if (!data) return {};
             
-            const data = await response.json();
             const stats = data.enhanced_processing_stats || {};
             
             return {
@@ -68,7 +85,7 @@ const AnalyticsDisplay = {
      */
     async fetchPresentationSettings(uid) {
         try {
-            const url = `https://order-by-age-uploads.s3.amazonaws.com/metadata/${uid}/presentation_settings.json`;
+            const url = `${S3_BASE_URL}/metadata/${uid}/presentation_settings.json`;
             const response = await fetch(url);
             
             if (!response.ok) return {};
@@ -118,20 +135,17 @@ const AnalyticsDisplay = {
         const minutes = totalMinutes % 60;
         
         if (hours >= 1) {
-            if (minutes === 0) {
-                return `${hours} hour${hours > 1 ? 's' : ''}`;
-            }
-            return `${hours}.${Math.round(minutes / 6)} hours`; // .5 = 30 min, etc.
+            // To the nearest tenth: .5 = 30 min, etc.
+            return I18n.t('time.hours', { count: hours + Math.round(minutes / 6) / 10 });
         }
-        return `${totalMinutes} minutes`;
+        return I18n.t('time.minutes', { count: totalMinutes });
     },
 
     /**
-     * Format large numbers with commas
+     * Format large numbers with the customer's digit grouping (1,234 / 1.234 / 1 234)
      */
     formatNumber(num) {
-        if (!num) return '0';
-        return num.toLocaleString();
+        return I18n.formatNumber(num);
     },
 
     /**
@@ -156,7 +170,7 @@ const AnalyticsDisplay = {
             headlineHtml = `
                 <div class="analytics-headline">
                     <span class="analytics-icon">📸</span>
-                    <span class="analytics-years">${stats.yearsOfMemories} years</span> of memories
+                    <span class="analytics-years">${I18n.t('analytics.years', { count: stats.yearsOfMemories })}</span> ${I18n.t('analytics.of_memories')}
                 </div>
             `;
         }
@@ -169,7 +183,7 @@ const AnalyticsDisplay = {
             statsHtml += `
                 <div class="analytics-stat-card">
                     <div class="stat-value">${this.formatNumber(stats.totalFacesIndexed)}</div>
-                    <div class="stat-label">Faces Analyzed</div>
+                    <div class="stat-label">${I18n.t('analytics.faces')}</div>
                 </div>
             `;
         }
@@ -179,7 +193,7 @@ const AnalyticsDisplay = {
             statsHtml += `
                 <div class="analytics-stat-card">
                     <div class="stat-value">${this.formatNumber(stats.similarityCacheSize)}</div>
-                    <div class="stat-label">Face Comparisons</div>
+                    <div class="stat-label">${I18n.t('analytics.comparisons')}</div>
                 </div>
             `;
         }
@@ -188,8 +202,8 @@ const AnalyticsDisplay = {
         if (totalPeopleFound > 0) {
             statsHtml += `
                 <div class="analytics-stat-card">
-                    <div class="stat-value">${totalPeopleFound}</div>
-                    <div class="stat-label">People Identified</div>
+                    <div class="stat-value">${this.formatNumber(totalPeopleFound)}</div>
+                    <div class="stat-label">${I18n.t('analytics.people')}</div>
                 </div>
             `;
         }
@@ -203,7 +217,7 @@ const AnalyticsDisplay = {
                 <div class="analytics-time-saved">
                     <div class="time-saved-icon">⏱️</div>
                     <div class="time-saved-text">
-                        <span class="time-saved-label">Estimated manual sorting time:</span>
+                        <span class="time-saved-label">${I18n.t('analytics.manual_time')}</span>
                         <span class="time-saved-value">${manualTime}</span>
                     </div>
                 </div>
@@ -215,9 +229,11 @@ const AnalyticsDisplay = {
         if (stats.totalFacesIndexed && stats.photoCount) {
             technicalHtml = `
                 <div class="analytics-technical">
-                    Using facial recognition and AI matching, we analyzed ${stats.photoCount} photos, 
-                    detected ${this.formatNumber(stats.totalFacesIndexed)} faces, and made 
-                    ${this.formatNumber(stats.similarityCacheSize || 0)} comparisons to build your chronological timeline.
+                    ${I18n.t('analytics.technical', {
+                        photos: stats.photoCount,
+                        faces: stats.totalFacesIndexed,
+                        comparisons: stats.similarityCacheSize || 0
+                    })}
                 </div>
             `;
         }
@@ -0,0 +1,127 @@
+// Memorial Video AI - White-Label Branding
+// Brands live in brands.json so a funeral-home partner can be added without a code
+// change. Each brand may set:
+//   name, logo, favicon, title, support_email, footer, access_public_key (JWK, see link-access.js),
+//   colors: { primary, accent, background, background_end },
+//   storage: { s3_bucket, zip_lambda_url, delete_lambda_url, save_order_lambda_url, save_notes_lambda_url, telemetry_url }
+// and is picked by a substring of ?type= (types) or by hostname (hosts). Anything a
+// brand leaves out comes from the registry's default brand, then from DEFAULT below,
+// so a missing or broken brands.json still gives a working page.
+
+const Brand = {
+
+    CONFIG_URL: 'brands.json',
+    CONFIG_TIMEOUT_MS: 5000,    // the page waits for the brand - a slow registry falls back to DEFAULT
+
+    // Matches the markup and the CONFIGURATION constants in script.js
+    DEFAULT: {
+        name: 'Memorial Video AI',
+        logo: null,             // null keeps the logo in index.html
+        favicon: null,
+        title: 'Your Sorted Photos | Memorial Video AI',
+        support_email: 'team@memorialvideo.ai',
+        footer: '© 2025 Celebrife LLC. All rights reserved.',
+        colors: {},
+        storage: {}
+    },
+
+    key: 'default',
+    current: null,
+
+    /**
+     * Pick and apply the brand for this page
+     * @param {string} type - ?type= from the URL
+     * @param {string} host - window.location.hostname
+     */
+    async init(type, host) {
+        let config = null;
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.CONFIG_TIMEOUT_MS);
+        try {
+            const response = await fetch(this.CONFIG_URL, { signal: controller.signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            config = await response.json();
+        } catch (error) {
+            console.log('[BRAND] Could not load brand registry, using the default brand:', error.message);
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        this.current = this.select(config, (type || '').toLowerCase(), (host || '').toLowerCase());
+        console.log(`[BRAND] ${this.key} (${this.current.name})`);
+        this.apply();
+    },
+
+    /**
+     * ?type= match first (one host serves several brands), then host, then the registry's default
+     */
+    select(config, type, host) {
+        const brands = (config && config.brands) || {};
+        const fallbackKey = config && brands[config.default] ? config.default : null;
+        const base = this.merge(this.DEFAULT, fallbackKey ? brands[fallbackKey] : {});
+
+        const keys = Object.keys(brands);
+        const key = (type && keys.find(k => (brands[k].types || []).some(t => type.includes(t.toLowerCase())))) ||
+            keys.find(k => (brands[k].hosts || []).some(h => h.toLowerCase() === host)) ||
+            fallbackKey;
+
+        this.key = key || 'default';
+        if (!key || key === fallbackKey) return base;
+
+        // A partner's page title names the partner, not the default brand
+        return { ...this.merge(base, brands[key]), title: brands[key].title || null };
+    },
+
+    merge(base, brand) {
+        return {
+            ...base,
+            ...brand,
+            colors: { ...base.colors, ...(brand.colors || {}) },
+            storage: { ...base.storage, ...(brand.storage || {}) }
+        };
+    },
+
+    apply() {
+        const brand = this.current;
+
+        brandName = brand.name;
+        supportEmail = brand.support_email;
+        if (brand.access_public_key) ACCESS_LINK_PUBLIC_KEY = brand.access_public_key;
+
+        // Storage and endpoints: only what the brand overrides
+        const storage = brand.storage;
+        if (storage.s3_bucket) {
+            S3_BUCKET = storage.s3_bucket;
+            S3_BASE_URL = `https://${S3_BUCKET}.s3.amazonaws.com`;
+        }
+        if (storage.zip_lambda_url) ZIP_LAMBDA_URL = storage.zip_lambda_url;
+        if (storage.delete_lambda_url) DELETE_LAMBDA_URL = storage.delete_lambda_url;
+        if (storage.save_order_lambda_url) SAVE_ORDER_LAMBDA_URL = storage.save_order_lambda_url;
+        if (storage.save_notes_lambda_url) SAVE_NOTES_LAMBDA_URL = storage.save_notes_lambda_url;
+        if (storage.telemetry_url) TELEMETRY_URL = storage.telemetry_url;
+
+        // Header, title and favicon
+        const logo = document.getElementById('siteLogo');
+        if (brand.logo) logo.src = brand.logo;
+        logo.alt = brand.name;
+        document.title = brand.title || `Your Sorted Photos | ${brand.name}`;
+        if (brand.favicon) document.querySelector('link[rel="icon"]').href = brand.favicon;
+
+        // Footer
+        const email = document.getElementById('supportEmail');
+        email.href = `mailto:${brand.support_email}`;
+        email.textContent = brand.support_email;
+        document.getElementById('footerCopyright').textContent = brand.footer;
+
+        // Colours used by styles.css and the download overlay
+        const colorVars = {
+            primary: '--brand-primary',
+            accent: '--brand-accent',
+            background: '--brand-background',
+            background_end: '--brand-background-end'
+        };
+        Object.entries(colorVars).forEach(([name, cssVar]) => {
+            if (brand.colors[name]) document.documentElement.style.setProperty(cssVar, brand.colors[name]);
+        });
+    }
+};
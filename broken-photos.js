@@ -0,0 +1,134 @@
+// Memorial Video AI - Broken Photos
+// Retries images that fail to load with backoff, then reports the ones that stay
+// broken: a count with a "show only these" filter, "retry all", and the failing
+// S3 keys in the support email so bad uploads are caught before the zip is built.
+
+const BrokenPhotos = {
+
+    MAX_RETRIES: 3,
+    BASE_DELAY_MS: 1000,
+    MAX_REPORTED_KEYS: 50,    // keeps the mailto: link a sane length
+
+    attempts: new Map(),      // s3Key -> retries so far
+    broken: new Set(),
+
+    /**
+     * Called from handleImageError(): schedule another try for a gallery image
+     * @returns {boolean} true if a retry is scheduled, false once the photo is broken
+     */
+    retry(img) {
+        const tile = img.closest('.photo-item');
+        if (!tile) return false;
+
+        const s3Key = tile.dataset.s3Key;
+        const attempts = this.attempts.get(s3Key) || 0;
+        if (attempts >= this.MAX_RETRIES) {
+            this.markBroken(s3Key, tile);
+            return false;
+        }
+
+        const delay = this.BASE_DELAY_MS * 2 ** attempts;
+        this.attempts.set(s3Key, attempts + 1);
+        console.log(`[IMAGE] Retry ${attempts + 1}/${this.MAX_RETRIES} for ${s3Key} in ${delay}ms`);
+        setTimeout(() => this.reload(img, s3Key), delay);
+        return true;
+    },
+
+    reload(img, s3Key) {
+        // Cache-buster so the browser doesn't hand back the failed response
+        img.src = `${photoUrl(s3Key)}?retry=${Date.now()}`;
+    },
+
+    /**
+     * Called from handleImageLoad(): a photo that loaded is no longer broken
+     */
+    loaded(img) {
+        const tile = img.closest('.photo-item');
+        if (!tile || img.src.startsWith('data:')) return;
+
+        const s3Key = tile.dataset.s3Key;
+        this.attempts.delete(s3Key);
+        if (this.broken.delete(s3Key)) {
+            tile.classList.remove('broken');
+            console.log(`[IMAGE] Recovered ${s3Key}`);
+            this.update();
+        }
+    },
+
+    markBroken(s3Key, tile) {
+        tile.classList.add('broken');
+        if (this.broken.has(s3Key)) return;
+
+        this.broken.add(s3Key);
+        console.error(`[IMAGE ERROR] Giving up on ${s3Key} after ${this.MAX_RETRIES} retries`);
+        Telemetry.track('image_failed', { key: s3Key, retries: this.MAX_RETRIES });
+        this.update();
+    },
+
+    /**
+     * Broken photos still in the order, in gallery order
+     */
+    keys() {
+        return photoOrder.filter(key => this.broken.has(key));
+    },
+
+    retryAll() {
+        const keys = this.keys();
+        console.log(`[IMAGE] Retrying ${keys.length} broken photos`);
+
+        keys.forEach(s3Key => {
+            this.attempts.delete(s3Key);
+            const tile = photoTiles.get(s3Key);
+            if (!tile) return;
+            tile.classList.remove('broken');
+            tile.classList.add('loading');
+            this.reload(tile.querySelector('img'), s3Key);
+        });
+    },
+
+    brokenFilter: (s3Key) => BrokenPhotos.broken.has(s3Key),
+
+    toggleFilter() {
+        setGalleryFilter(galleryFilter === this.brokenFilter ? null : this.brokenFilter);
+        this.update();
+        PhotoNotes.updateFilterButton();
+    },
+
+    /**
+     * Called from onOrderChanged(): deleted photos drop out of the report
+     */
+    refresh() {
+        this.update();
+    },
+
+    update() {
+        const count = this.keys().length;
+
+        // Nothing left to show - back to the full gallery
+        const filtering = galleryFilter === this.brokenFilter;
+        if (filtering && count === 0) {
+            setGalleryFilter(null);
+        }
+
+        const el = document.getElementById('brokenStatus');
+        el.style.display = count ? 'inline-flex' : 'none';
+        el.querySelector('.save-status-text').textContent = I18n.t('broken.status', { count });
+        document.getElementById('brokenFilterBtn').textContent = I18n.t(filtering && count ? 'broken.show_all' : 'broken.show_only');
+
+        document.getElementById('supportEmail').href = supportMailto();
+    },
+
+    /**
+     * Lines for the support email body
+     */
+    report() {
+        const keys = this.keys();
+        if (keys.length === 0) return [];
+
+        const lines = ['', `Photos that failed to load (${keys.length}):`, ...keys.slice(0, this.MAX_REPORTED_KEYS)];
+        if (keys.length > this.MAX_REPORTED_KEYS) {
+            lines.push(`...and ${keys.length - this.MAX_REPORTED_KEYS} more`);
+        }
+        return lines;
+    }
+};
@@ -0,0 +1,252 @@
+// Memorial Video AI - Delete Queue
+// Sends committed deletes to the DELETE Lambda, retrying with backoff. Deletes are
+// only treated as done when the Lambda says so; photos that still exist in S3 after
+// the last retry are put back in the gallery with an error state.
+
+const DeleteQueue = {
+
+    MAX_ATTEMPTS: 5,
+    BASE_DELAY_MS: 2000,
+    MAX_DELAY_MS: 60000,
+
+    items: [],        // { key, index, attempts, nextAttempt }
+    timer: null,
+    processing: null,
+
+    /**
+     * Queue photos for deletion and start sending
+     * @param {Array} items - [{ key, index }] where index is the photo's old position
+     * @param {Object} options - { keepalive } when the page is closing
+     * @returns {Promise} Resolves after the first attempt for these photos
+     */
+    enqueue(items, options = {}) {
+        if (options.keepalive) {
+            // Page is going away - one best-effort request, nothing to retry into
+            return sendDeleteRequest(items.map(item => item.key), options).catch(() => {});
+        }
+
+        items.forEach(item => {
+            this.items.push({ key: item.key, index: item.index, attempts: 0, nextAttempt: 0 });
+        });
+        this.updateStatus();
+        return this.process();
+    },
+
+    /**
+     * Send every item that is due, as one batch
+     */
+    async process() {
+        if (this.processing) {
+            await this.processing;
+            return this.process();
+        }
+
+        const now = Date.now();
+        const due = this.items.filter(item => item.nextAttempt <= now);
+        if (due.length === 0) {
+            // Timers can fire a millisecond early - don't let the queue stall
+            this.scheduleRetry();
+            return;
+        }
+
+        this.processing = this.send(due);
+        try {
+            await this.processing;
+        } finally {
+            this.processing = null;
+        }
+    },
+
+    async send(batch) {
+        const keys = batch.map(item => item.key);
+        let failedKeys;
+        let requestError = null;
+
+        try {
+            const result = await sendDeleteRequest(keys);
+            failedKeys = new Set(result.failed_keys || []);
+        } catch (error) {
+            console.error('[DELETE ERROR]', error);
+            failedKeys = new Set(keys);
+            requestError = error.message;
+        }
+
+        const givenUp = [];
+        batch.forEach(item => {
+            if (!failedKeys.has(item.key)) {
+                this.items.splice(this.items.indexOf(item), 1);
+                return;
+            }
+
+            item.attempts++;
+            if (item.attempts >= this.MAX_ATTEMPTS) {
+                this.items.splice(this.items.indexOf(item), 1);
+                givenUp.push(item);
+            } else {
+                const delay = Math.min(this.MAX_DELAY_MS, this.BASE_DELAY_MS * 2 ** (item.attempts - 1));
+                item.nextAttempt = Date.now() + delay;
+                console.log(`[DELETE] Retry ${item.attempts}/${this.MAX_ATTEMPTS - 1} for ${item.key} in ${delay}ms`);
+            }
+        });
+
+        if (batch.length > failedKeys.size) {
+            console.log(`[DELETE] Deleted ${batch.length - failedKeys.size} photo(s)`);
+        }
+
+        Telemetry.track('delete', {
+            photos: batch.length,
+            deleted: batch.length - failedKeys.size,
+            failed: failedKeys.size,
+            gave_up: givenUp.length,
+            ...(requestError ? { error: requestError } : {})
+        });
+
+        this.scheduleRetry();
+        this.updateStatus();
+
+        if (givenUp.length) await this.reconcile(givenUp);
+    },
+
+    scheduleRetry() {
+        clearTimeout(this.timer);
+        if (this.items.length === 0) return;
+
+        const next = Math.min(...this.items.map(item => item.nextAttempt));
+        this.timer = setTimeout(() => this.process(), Math.max(0, next - Date.now()));
+    },
+
+    retryNow() {
+        this.items.forEach(item => {
+            item.nextAttempt = 0;
+        });
+        this.process();
+    },
+
+    /**
+     * After the last retry, check what is actually stored and make the UI match:
+     * photos still in S3 come back with an error state, photos that are gone stay gone
+     */
+    async reconcile(items) {
+        const storedKeys = await this.fetchStoredKeys();
+
+        for (const item of items) {
+            const listed = !storedKeys || storedKeys.has(item.key);
+            const exists = listed && await this.objectExists(item.key);
+
+            if (!exists) {
+                console.log(`[DELETE] ${item.key} is no longer stored, treating as deleted`);
+                continue;
+            }
+
+            console.log(`[DELETE] ${item.key} could not be deleted, restoring it in the gallery`);
+            Telemetry.track('delete_restored', { key: item.key });
+            if (!photoOrder.includes(item.key)) {
+                photoOrder.splice(Math.min(item.index, photoOrder.length), 0, item.key);
+            }
+            const tile = photoTiles.get(item.key);
+            if (tile) tile.classList.add('delete-failed');
+        }
+
+        onOrderChanged();
+        this.updateStatus();
+    },
+
+    /**
+     * Keys listed in the stored custom order and manifest (null if neither could be read)
+     */
+    async fetchStoredKeys() {
+        const keys = new Set();
+        let found = false;
+
+        try {
+            const remote = await OrderSync.fetchRemoteOrder();
+            if (remote && remote.order) {
+                remote.order.forEach(key => keys.add(key));
+                found = true;
+            }
+        } catch (e) {
+            console.log('[DELETE] Could not re-read custom order:', e.message);
+        }
+
+        try {
+            const response = await fetch(`${S3_BASE_URL}/metadata/${uid}/final_filenames.json`, { cache: 'no-store' });
+            if (response.ok) {
+                (await response.json()).forEach(entry => entry.final_key && keys.add(entry.final_key));
+                found = true;
+            }
+        } catch (e) {
+            console.log('[DELETE] Could not re-read manifest:', e.message);
+        }
+
+        return found ? keys : null;
+    },
+
+    async objectExists(s3Key) {
+        // Can't tell - assume it is still there so the customer can see it and retry
+        return (await this.checkObject(s3Key)) !== false;
+    },
+
+    /**
+     * HEAD a photo in S3
+     * @returns {Promise<boolean|null>} Whether it is stored, or null when S3 couldn't say
+     *          (unreachable, throttled or a server error)
+     */
+    async checkObject(s3Key) {
+        try {
+            const response = await fetch(photoUrl(s3Key), { method: 'HEAD', cache: 'no-store' });
+            if (response.ok) return true;
+            // The bucket answers 403 rather than 404 for a missing key when listing isn't allowed
+            if (response.status === 404 || response.status === 403) return false;
+            return null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Retry a delete from the error state on a restored tile
+     */
+    retryTile(s3Key) {
+        const tile = photoTiles.get(s3Key);
+        if (tile) tile.classList.remove('delete-failed');
+
+        const index = photoOrder.indexOf(s3Key);
+        if (index > -1) {
+            photoOrder.splice(index, 1);
+            onOrderChanged();
+        }
+        this.enqueue([{ key: s3Key, index: index }]);
+    },
+
+    /**
+     * Keep a restored photo: clear its error state
+     */
+    keepTile(s3Key) {
+        const tile = photoTiles.get(s3Key);
+        if (tile) tile.classList.remove('delete-failed');
+        this.updateStatus();
+    },
+
+    updateStatus() {
+        const el = document.getElementById('deleteStatus');
+        if (!el) return;
+
+        let failed = 0;
+        photoTiles.forEach(tile => {
+            if (tile.classList.contains('delete-failed')) failed++;
+        });
+        const retrying = this.items.filter(item => item.attempts > 0).length;
+
+        if (retrying) {
+            el.dataset.status = 'saving';
+            el.querySelector('.save-status-text').textContent = I18n.t('deletes.retrying', { count: retrying });
+        } else if (failed) {
+            el.dataset.status = 'conflict';
+            el.querySelector('.save-status-text').textContent = I18n.t('deletes.failed', { count: failed });
+        }
+
+        // Only something still queued can be retried - restored photos have their own Retry
+        document.getElementById('deleteRetryBtn').style.display = this.items.length ? '' : 'none';
+        el.style.display = retrying || failed ? 'inline-flex' : 'none';
+    }
+};
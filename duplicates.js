@@ -0,0 +1,246 @@
+// Memorial Video AI - Duplicate Finder
+// Perceptual hash (dHash) of each thumbnail, computed in the browser. Photos whose
+// hashes are within a few bits of each other are grouped as likely duplicates,
+// highlighted in the grid, and compared side by side so the customer can keep one.
+
+const DuplicateFinder = {
+
+    HASH_SIZE: 8,         // 8x8 comparisons -> 64-bit hash
+    MAX_DISTANCE: 6,      // differing bits still counted as the same picture
+    CONCURRENCY: 6,
+
+    hashes: new Map(),    // s3Key -> [low 32 bits, high 32 bits]
+    similar: new Map(),   // s3Key -> Set of hashed s3Keys within MAX_DISTANCE
+    groups: [],           // [[s3Key, ...]] in gallery order
+    groupOf: new Map(),   // s3Key -> index in groups
+    scanning: false,
+    compareIndex: 0,
+
+    /**
+     * Hash every photo not hashed yet, then group and open the compare view
+     */
+    async scan() {
+        if (this.scanning) return;
+        this.scanning = true;
+
+        const btn = document.getElementById('duplicatesBtn');
+        btn.disabled = true;
+
+        const pending = photoOrder.filter(key => !this.hashes.has(key));
+        let done = photoOrder.length - pending.length;
+
+        const worker = async () => {
+            while (pending.length) {
+                const s3Key = pending.shift();
+                try {
+                    this.link(s3Key, await this.hash(s3Key));
+                } catch (error) {
+                    console.log(`[DUPLICATES] Could not hash ${s3Key}:`, error.message);
+                }
+                done++;
+                btn.textContent = I18n.t('duplicates.checking', { done, total: photoOrder.length });
+            }
+        };
+        await Promise.all(Array.from({ length: this.CONCURRENCY }, worker));
+
+        this.scanning = false;
+        btn.disabled = false;
+        this.refresh();
+        console.log(`[DUPLICATES] ${this.groups.length} group(s) of likely duplicates`);
+
+        if (this.groups.length) this.openCompare(0);
+    },
+
+    /**
+     * dHash: shrink to 9x8 grayscale, one bit per pixel that is brighter than its right neighbour
+     */
+    async hash(s3Key) {
+        let response = await fetch(thumbnailUrl(s3Key, THUMBNAIL_WIDTHS[0]));
+        if (!response.ok) response = await fetch(photoUrl(s3Key));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const width = this.HASH_SIZE + 1;
+        const height = this.HASH_SIZE;
+        // Decoded straight to hash size - the fallback is a full-resolution original
+        const bitmap = await createImageBitmap(await response.blob(), {
+            resizeWidth: width,
+            resizeHeight: height,
+            resizeQuality: 'medium'
+        });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+        const gray = (x, y) => {
+            const i = (y * width + x) * 4;
+            return pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114;
+        };
+
+        const bits = [0, 0];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < this.HASH_SIZE; x++) {
+                if (gray(x, y) > gray(x + 1, y)) {
+                    const bit = y * this.HASH_SIZE + x;
+                    bits[bit >> 5] |= 1 << (bit & 31);
+                }
+            }
+        }
+        return bits;
+    },
+
+    distance(a, b) {
+        return this.popcount(a[0] ^ b[0]) + this.popcount(a[1] ^ b[1]);
+    },
+
+    popcount(n) {
+        n = n - ((n >>> 1) & 0x55555555);
+        n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+        return Math.imul((n + (n >>> 4)) & 0x0F0F0F0F, 0x01010101) >>> 24;
+    },
+
+    /**
+     * Store a photo's hash and compare it with the photos hashed so far - each pair is
+     * compared once, so regrouping after an edit doesn't redo the comparisons
+     */
+    link(s3Key, hash) {
+        const similar = new Set();
+        this.hashes.forEach((other, key) => {
+            if (this.distance(hash, other) <= this.MAX_DISTANCE) {
+                similar.add(key);
+                this.similar.get(key).add(s3Key);
+            }
+        });
+        this.hashes.set(s3Key, hash);
+        this.similar.set(s3Key, similar);
+    },
+
+    /**
+     * Regroup the hashed photos still in the order (after a scan, delete or undo)
+     */
+    refresh() {
+        if (this.hashes.size === 0) return;
+
+        const keys = photoOrder.filter(key => this.hashes.has(key));
+        const indexOf = new Map(keys.map((key, i) => [key, i]));
+        const parent = keys.map((_, i) => i);
+        const root = (i) => {
+            while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+            return i;
+        };
+
+        keys.forEach((key, i) => {
+            this.similar.get(key).forEach(other => {
+                const j = indexOf.get(other);
+                if (j !== undefined) parent[root(j)] = root(i);
+            });
+        });
+
+        const byRoot = new Map();
+        keys.forEach((key, i) => {
+            const r = root(i);
+            if (!byRoot.has(r)) byRoot.set(r, []);
+            byRoot.get(r).push(key);
+        });
+        this.groups = Array.from(byRoot.values()).filter(group => group.length > 1);
+
+        this.highlight();
+        this.updateButton();
+
+        const modal = document.getElementById('duplicateModal');
+        if (modal.classList.contains('active')) {
+            if (this.groups.length) {
+                this.showGroup(Math.min(this.compareIndex, this.groups.length - 1));
+            } else {
+                this.closeCompare();
+            }
+        }
+    },
+
+    highlight() {
+        this.groupOf = new Map();
+        this.groups.forEach((group, i) => group.forEach(key => this.groupOf.set(key, i)));
+        photoTiles.forEach(tile => this.decorate(tile));
+    },
+
+    decorate(tile) {
+        const group = this.groupOf.get(tile.dataset.s3Key);
+        let badge = tile.querySelector('.duplicate-badge');
+        tile.classList.toggle('duplicate', group !== undefined);
+
+        if (group === undefined) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('button');
+            badge.type = 'button';
+            badge.className = 'duplicate-badge';
+            badge.title = I18n.t('duplicates.badge_title');
+            badge.tabIndex = -1;
+            tile.appendChild(badge);
+        }
+        badge.textContent = I18n.t('duplicates.badge', { number: group + 1 });
+        badge.onclick = () => this.openCompare(group);
+    },
+
+    updateButton() {
+        const btn = document.getElementById('duplicatesBtn');
+        const count = this.groups.length;
+        btn.textContent = count
+            ? I18n.t('duplicates.review', { count })
+            : I18n.t(this.hashes.size ? 'duplicates.none' : 'duplicates.find');
+    },
+
+    openCompare(index) {
+        document.getElementById('duplicateModal').classList.add('active');
+        this.showGroup(index);
+    },
+
+    closeCompare() {
+        document.getElementById('duplicateModal').classList.remove('active');
+    },
+
+    showGroup(index) {
+        const count = this.groups.length;
+        this.compareIndex = (index + count) % count;
+        const group = this.groups[this.compareIndex];
+
+        document.getElementById('duplicateSummary').textContent =
+            I18n.t('duplicates.summary', { number: this.compareIndex + 1, total: count, count: group.length });
+        document.getElementById('duplicatePrev').disabled = count < 2;
+        document.getElementById('duplicateNext').disabled = count < 2;
+
+        const grid = document.getElementById('duplicateCompareGrid');
+        grid.innerHTML = group.map(s3Key => `
+            <figure class="compare-item">
+                <img src="${escapeHtml(photoUrl(s3Key))}" alt="${escapeHtml(I18n.t('tile.alt', { number: photoOrder.indexOf(s3Key) + 1 }))}"
+                     onload="this.nextElementSibling.querySelector('.compare-size').textContent = this.naturalWidth + ' × ' + this.naturalHeight">
+                <figcaption>
+                    <strong>#${photoOrder.indexOf(s3Key) + 1}</strong>
+                    <span>${escapeHtml(parseFinalFilename(s3Key).originalFilename || s3Key.split('/').pop())}</span>
+                    <span class="compare-size"></span>
+                </figcaption>
+                <button type="button" class="custom-modal-btn primary info" data-s3-key="${escapeHtml(s3Key)}">${escapeHtml(I18n.t('duplicates.keep'))}</button>
+            </figure>
+        `).join('');
+
+        grid.querySelectorAll('button[data-s3-key]').forEach(btn => {
+            btn.addEventListener('click', () => this.keep(btn.dataset.s3Key));
+        });
+    },
+
+    /**
+     * Keep one photo of the current group and delete the others
+     */
+    keep(s3Key) {
+        const others = this.groups[this.compareIndex].filter(key => key !== s3Key);
+        this.closeCompare();
+        console.log(`[DUPLICATES] Keeping ${s3Key}, deleting ${others.length} duplicate(s)`);
+        deletePhoto(others);
+    }
+};
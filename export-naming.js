@@ -0,0 +1,115 @@
+// Memorial Video AI - Export Naming
+// Controls how files are named in the download zip (001.jpg, 004.jpg, 007.jpg...)
+
+const ExportNaming = {
+
+    STORAGE_KEY: 'exportNaming',
+
+    DEFAULTS: {
+        step: 3,              // gap between numbers, leaves room to insert photos later
+        padding: 3,           // zero-padding width (001)
+        keepOriginal: false,  // append the original filename: 001_grandma-1962.jpg
+        agePrefix: false      // prefix the age bucket: 01-05_001.jpg
+    },
+
+    settings: null,
+
+    /**
+     * Load saved settings and wire up the naming panel
+     */
+    init() {
+        this.settings = { ...this.DEFAULTS };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+            Object.keys(this.DEFAULTS).forEach(key => {
+                if (typeof saved[key] === typeof this.DEFAULTS[key]) this.settings[key] = saved[key];
+            });
+        } catch (e) {
+            console.log('[NAMING] Could not read saved settings:', e.message);
+        }
+
+        const panel = document.getElementById('namingPanel');
+        if (!panel) return;
+
+        panel.querySelector('#namingStep').value = this.settings.step;
+        panel.querySelector('#namingPadding').value = this.settings.padding;
+        panel.querySelector('#namingKeepOriginal').checked = this.settings.keepOriginal;
+        panel.querySelector('#namingAgePrefix').checked = this.settings.agePrefix;
+
+        panel.addEventListener('change', () => {
+            this.settings = {
+                step: parseInt(panel.querySelector('#namingStep').value, 10),
+                padding: parseInt(panel.querySelector('#namingPadding').value, 10),
+                keepOriginal: panel.querySelector('#namingKeepOriginal').checked,
+                agePrefix: panel.querySelector('#namingAgePrefix').checked
+            };
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.settings));
+            console.log('[NAMING] Settings changed:', this.settings);
+            this.refresh();
+        });
+
+        // Show names on the tiles while the panel is open
+        panel.addEventListener('toggle', () => {
+            document.getElementById('photoGallery').classList.toggle('show-export-names', panel.open);
+        });
+
+        this.refresh();
+    },
+
+    /**
+     * Name a photo will get inside the zip
+     * @param {number} index - Position in photoOrder
+     * @param {string} s3Key - Photo S3 key
+     */
+    filename(index, s3Key) {
+        const settings = this.settings || this.DEFAULTS;
+        const extMatch = s3Key.match(/\.[a-z0-9]+$/i);
+        const ext = extMatch ? extMatch[0].toLowerCase() : '.jpg';
+
+        let name = String(index * settings.step + 1).padStart(settings.padding, '0');
+
+        if (settings.agePrefix) {
+            const bucket = getPhotoBucket(s3Key);
+            if (bucket) name = `${bucket}_${name}`;
+        }
+
+        if (settings.keepOriginal) {
+            const original = extractOriginalFilename(s3Key).replace(/\.[a-z0-9]+$/i, '');
+            if (original) name = `${name}_${original}`;
+        }
+
+        return name + ext;
+    },
+
+    /**
+     * First few export names of the current order, for notes and the thank-you overlay
+     */
+    examples(count = 4) {
+        const keys = photoOrder.length ? photoOrder.slice(0, count) : ['photo.jpg'];
+        return keys.map((key, i) => this.filename(i, key)).join(', ') + '...';
+    },
+
+    /**
+     * Scheme sent with the zip request (snake_case for the Lambda)
+     */
+    toRequest() {
+        const settings = this.settings || this.DEFAULTS;
+        return {
+            step: settings.step,
+            padding: settings.padding,
+            keep_original: settings.keepOriginal,
+            age_prefix: settings.agePrefix
+        };
+    },
+
+    /**
+     * Update the download note and the name shown on each tile
+     */
+    refresh() {
+        const note = document.getElementById('downloadNote');
+        if (note) {
+            note.textContent = I18n.t(this.settings.step > 1 ? 'download.note_gaps' : 'download.note', { examples: this.examples(3) });
+        }
+        updateDisplayNumbers();
+    }
+};
@@ -0,0 +1,245 @@
+// Memorial Video AI - Keyboard Reordering
+// The gallery is an ARIA listbox with one focusable tile (roving tabindex).
+// Arrows move focus; Space picks a photo up, arrows move it, Space drops it and
+// Escape puts it back. In the grouped view a photo carried past a section edge joins
+// that section, as it does when dragged. Every move is announced through a live region.
+
+const GalleryKeyboard = {
+
+    activeKey: null,      // tile that holds tabindex="0"
+    grab: null,           // { s3Key, fromIndex, order, override } while a photo is picked up
+
+    init() {
+        const gallery = document.getElementById('photoGallery');
+
+        gallery.addEventListener('keydown', (e) => {
+            const tile = e.target.closest('.photo-item');
+            if (!tile || e.target !== tile) return;
+
+            if (this.grab) {
+                this.handleGrabbedKey(e);
+            } else {
+                this.handleKey(e, tile.dataset.s3Key);
+            }
+        });
+
+        gallery.addEventListener('focusin', (e) => {
+            const tile = e.target.closest('.photo-item');
+            if (tile) this.setActive(tile.dataset.s3Key);
+        });
+    },
+
+    handleKey(e, s3Key) {
+        const target = this.targetIndex(e.key, s3Key);
+
+        if (target !== undefined) {
+            e.preventDefault();
+            this.focusIndex(target);
+        } else if (e.key === ' ' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            PhotoSelection.toggle(s3Key);
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            this.pickUp(s3Key);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            Lightbox.open(s3Key);
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && PhotoSelection.selected.size === 0) {
+            e.preventDefault();
+            deletePhoto(s3Key);
+        }
+    },
+
+    handleGrabbedKey(e) {
+        const target = this.targetIndex(e.key, this.grab.s3Key);
+
+        // Keep Escape/Delete/Ctrl+A away from selection, details and history while carrying
+        e.stopPropagation();
+
+        if (target !== undefined) {
+            e.preventDefault();
+            this.moveGrabbed(target);
+        } else if (e.key === ' ' || e.key === 'Enter') {
+            e.preventDefault();
+            this.drop();
+        } else if (e.key === 'Escape' || e.key === 'Tab') {
+            if (e.key === 'Escape') e.preventDefault();
+            this.cancel();
+        }
+    },
+
+    /**
+     * Index an arrow/Home/End key points at from a photo (undefined for other keys)
+     */
+    targetIndex(key, s3Key) {
+        const index = photoOrder.indexOf(s3Key);
+        const columns = this.columns(photoTiles.get(s3Key));
+
+        switch (key) {
+            case 'ArrowLeft': return index - 1;
+            case 'ArrowRight': return index + 1;
+            case 'ArrowUp': return index - columns;
+            case 'ArrowDown': return index + columns;
+            case 'Home': return 0;
+            case 'End': return photoOrder.length - 1;
+        }
+        return undefined;
+    },
+
+    /**
+     * Columns in the tile's grid, so Up/Down move a whole row
+     */
+    columns(tile) {
+        const container = tile && tile.parentElement;
+        const layout = container && VirtualGallery.measure(container);
+        return layout ? layout.columns : 1;
+    },
+
+    setActive(s3Key) {
+        if (this.activeKey === s3Key) return;
+
+        const previous = photoTiles.get(this.activeKey);
+        if (previous) previous.tabIndex = -1;
+        this.activeKey = s3Key;
+        const tile = photoTiles.get(s3Key);
+        if (tile) tile.tabIndex = 0;
+    },
+
+    /**
+     * Photo that should be reachable with Tab: the active one, else the first
+     */
+    focusKey() {
+        return photoOrder.includes(this.activeKey) ? this.activeKey : photoOrder[0];
+    },
+
+    focusIndex(index) {
+        const s3Key = photoOrder[Math.max(0, Math.min(photoOrder.length - 1, index))];
+        if (s3Key) this.focusPhoto(s3Key);
+    },
+
+    focusPhoto(s3Key) {
+        this.setActive(s3Key);
+
+        let tile = photoTiles.get(s3Key);
+        if (!tile || !tile.isConnected) {
+            // Not mounted (windowed gallery or hidden by a filter) - bring it into view first
+            scrollToPhoto(s3Key);
+            tile = photoTiles.get(s3Key);
+        }
+        if (tile && tile.isConnected) {
+            tile.tabIndex = 0;
+            tile.focus({ preventScroll: true });
+            tile.scrollIntoView({ block: 'nearest' });
+        }
+    },
+
+    pickUp(s3Key) {
+        if (!LinkAccess.allow('reorder')) return;
+
+        const fromIndex = photoOrder.indexOf(s3Key);
+        this.grab = {
+            s3Key: s3Key,
+            fromIndex: fromIndex,
+            order: photoOrder.slice(),
+            override: bucketOverrides.get(s3Key) || null
+        };
+        photoTiles.get(s3Key).classList.add('grabbed');
+
+        this.announce(I18n.t('keyboard.picked_up', { number: fromIndex + 1 }));
+    },
+
+    /**
+     * Preview the move in the grid. Only the drop is recorded in the history and saved.
+     */
+    moveGrabbed(index) {
+        const s3Key = this.grab.s3Key;
+        const from = photoOrder.indexOf(s3Key);
+        const to = Math.max(0, Math.min(photoOrder.length - 1, index));
+        if (to === from) return;
+
+        photoOrder.splice(from, 1);
+        photoOrder.splice(to, 0, s3Key);
+
+        // Grouped view: take the section of the photo it was moved past
+        const neighbour = photoOrder[to > from ? to - 1 : to + 1];
+        if (GallerySections.enabled && neighbour) setBucketOverride(s3Key, getPhotoBucket(neighbour));
+
+        this.preview();
+        this.focusPhoto(s3Key);
+
+        this.announce(I18n.t('keyboard.position', { number: to + 1, total: photoOrder.length }));
+    },
+
+    drop() {
+        const { s3Key, fromIndex, order, override } = this.grab;
+        const toIndex = photoOrder.indexOf(s3Key);
+        const toBucket = getPhotoBucket(s3Key);
+        setBucketOverride(s3Key, override);
+        const bucketChanged = toBucket !== getPhotoBucket(s3Key);
+        this.release();
+
+        if (toIndex !== fromIndex || bucketChanged) {
+            // Put the order back and replay it as one undoable move
+            photoOrder = order;
+            OrderHistory.execute(OrderHistory.moveCommand([s3Key], toIndex, bucketChanged ? toBucket : undefined));
+            console.log(`[KEYBOARD] Moved photo from position ${fromIndex + 1} to ${toIndex + 1}`);
+        }
+        this.focusPhoto(s3Key);
+
+        this.announce(toIndex === fromIndex
+            ? I18n.t('keyboard.dropped', { number: toIndex + 1 })
+            : I18n.t('keyboard.moved', { from: fromIndex + 1, to: toIndex + 1 }));
+    },
+
+    cancel() {
+        const { s3Key, fromIndex, order, override } = this.grab;
+        setBucketOverride(s3Key, override);
+        this.release();
+
+        photoOrder = order;
+        this.preview();
+        this.focusPhoto(s3Key);
+
+        this.announce(I18n.t('keyboard.cancelled', { number: fromIndex + 1 }));
+    },
+
+    /**
+     * Move the tiles and renumber them, without the saves and panel refreshes of onOrderChanged()
+     */
+    preview() {
+        syncGalleryToOrder();
+        updateDisplayNumbers();
+    },
+
+    release() {
+        const tile = photoTiles.get(this.grab.s3Key);
+        if (tile) tile.classList.remove('grabbed');
+        this.grab = null;
+
+        // A save held back while the photo was carried (see OrderSync.save)
+        if (OrderSync.dirty) OrderSync.scheduleSave();
+    },
+
+    /**
+     * Called from onOrderChanged(): if the focused photo was deleted, focus its neighbour
+     */
+    refresh() {
+        if (!this.activeKey || photoOrder.includes(this.activeKey)) return;
+
+        const tile = photoTiles.get(this.activeKey);
+        const index = parseInt(tile ? tile.dataset.index : 0, 10) || 0;
+        const hadFocus = document.activeElement === document.body || document.activeElement === tile;
+
+        this.activeKey = null;
+        if (hadFocus && photoOrder.length) this.focusIndex(Math.min(index, photoOrder.length - 1));
+    },
+
+    announce(message) {
+        const region = document.getElementById('galleryAnnouncer');
+        // Clear first so repeating the same message is still read out
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+};
@@ -0,0 +1,129 @@
+// Memorial Video AI - Age Sections
+// Groups the gallery into collapsible sections by the age bucket in each filename
+// (01-05(003)_|EX|_photo.jpg -> "Ages 1–5"). Sections are contiguous runs of
+// photoOrder, so the grouped view never changes the download order.
+
+const GallerySections = {
+
+    STORAGE_KEY: 'galleryGrouped',
+
+    enabled: false,
+    collapsed: new Set(),
+
+    /**
+     * Restore the saved view preference and wire up the toolbar toggle
+     */
+    init() {
+        this.enabled = localStorage.getItem(this.STORAGE_KEY) === '1';
+        this.updateToggle();
+    },
+
+    toggle() {
+        this.enabled = !this.enabled;
+        localStorage.setItem(this.STORAGE_KEY, this.enabled ? '1' : '0');
+        console.log(`[SECTIONS] Grouped view ${this.enabled ? 'on' : 'off'}`);
+
+        syncGalleryToOrder();
+        initializeSortable();
+        updateDisplayNumbers();
+        this.updateToggle();
+    },
+
+    updateToggle() {
+        const btn = document.getElementById('groupToggle');
+        if (btn) btn.setAttribute('aria-pressed', this.enabled ? 'true' : 'false');
+    },
+
+    /**
+     * Split the visible photos into runs sharing an age bucket
+     * @returns {Array} [{ bucket, keys }]
+     */
+    groups() {
+        const groups = [];
+        visiblePhotoOrder().forEach(s3Key => {
+            const bucket = getPhotoBucket(s3Key) || '';
+            const last = groups[groups.length - 1];
+            if (last && last.bucket === bucket) {
+                last.keys.push(s3Key);
+            } else {
+                groups.push({ bucket: bucket, keys: [s3Key] });
+            }
+        });
+        return groups;
+    },
+
+    /**
+     * "Ages 1–5", "Age 3", or "Other photos" when the filename has no bucket
+     */
+    label(bucket) {
+        if (!bucket) return I18n.t('sections.other');
+        const [min, max] = bucket.split('-').map(n => parseInt(n, 10));
+        return min === max ? I18n.t('sections.age', { age: min }) : I18n.t('sections.ages', { min, max });
+    },
+
+    /**
+     * Bring the section DOM in line with photoOrder
+     */
+    sync(gallery) {
+        const groups = this.groups();
+        let sections = Array.from(gallery.querySelectorAll(':scope > .age-section'));
+
+        const sameLayout = sections.length === groups.length &&
+            sections.every((section, i) => section.dataset.bucket === groups[i].bucket);
+
+        if (!sameLayout) {
+            gallery.innerHTML = '';
+            gallery.classList.add('grouped');
+            sections = groups.map(group => {
+                const section = this.createSection(group.bucket);
+                gallery.appendChild(section);
+                return section;
+            });
+
+            // Grids were replaced - re-attach drag-and-drop once the current drop has finished
+            if (sortableInstances.length) setTimeout(initializeSortable, 0);
+        }
+
+        groups.forEach((group, i) => {
+            syncTiles(sections[i].querySelector('.age-section-grid'), group.keys);
+            sections[i].querySelector('.age-section-title').textContent =
+                I18n.t('sections.title', { label: this.label(group.bucket), count: group.keys.length });
+        });
+    },
+
+    createSection(bucket) {
+        const section = document.createElement('section');
+        section.className = 'age-section';
+        section.dataset.bucket = bucket;
+        if (this.collapsed.has(bucket)) section.classList.add('collapsed');
+
+        section.innerHTML = `
+            <button type="button" class="age-section-header" aria-expanded="${!this.collapsed.has(bucket)}">
+                <span class="age-section-caret">▾</span>
+                <span class="age-section-title"></span>
+            </button>
+            <div class="age-section-grid" role="group" aria-label="${escapeHtml(this.label(bucket))}"></div>
+        `;
+
+        section.querySelector('.age-section-header').addEventListener('click', () => {
+            this.toggleSection(section);
+        });
+
+        return section;
+    },
+
+    toggleSection(section) {
+        const bucket = section.dataset.bucket;
+        const collapsed = section.classList.toggle('collapsed');
+
+        if (collapsed) {
+            this.collapsed.add(bucket);
+        } else {
+            this.collapsed.delete(bucket);
+        }
+        section.querySelector('.age-section-header').setAttribute('aria-expanded', String(!collapsed));
+
+        // Sections below moved - re-window the grids
+        if (VirtualGallery.active) VirtualGallery.refresh();
+    }
+};
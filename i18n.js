@@ -0,0 +1,363 @@
+// Memorial Video AI - Localization
+// Customer-facing text comes from message catalogs: English is built in (and is the
+// fallback for any missing message), other languages are loaded from locales/{lang}.json.
+// The language is ?lang= if given, otherwise the first supported browser language.
+// A message is a string, or an object of plural forms ({ one, other, ... }) chosen
+// with Intl.PluralRules from params.count. {name} placeholders are filled from params,
+// numbers formatted for the locale. Static markup is tagged with data-i18n="key" (text)
+// and data-i18n-title / -aria-label / -placeholder / -alt="key" (attributes).
+
+const I18n = {
+
+    SUPPORTED: ['en', 'es', 'fr'],
+    ATTRIBUTES: ['title', 'aria-label', 'placeholder', 'alt'],
+
+    EN: {
+        'page.heading': 'Your Photos Are Ready!',
+        'page.subtitle': 'Your photos have been sorted chronologically by age. Drag and drop to adjust the order, then download.',
+        'page.step1': 'Review your photos sorted by age (youngest to oldest)',
+        'page.step2': 'Drag and drop to adjust the order if needed',
+        'page.step3': 'Click "Download All" to get your sorted photos as a zip file',
+        'page.loading': 'Loading your photos...',
+        'count.sorted': { one: 'photo sorted', other: 'photos sorted' },
+
+        'download.button': 'Download All as Zip',
+        'download.preparing': 'Preparing download...',
+        'download.building': 'Building zip...',
+        'download.local': 'Having trouble? Build the zip in your browser instead',
+        'download.note': 'Files will be named {examples}',
+        'download.note_gaps': 'Files will be named {examples} for easy insertion into your slideshow software',
+
+        'error.load': 'Unable to load photos. Please check your link or contact support.',
+        'error.no_uid': 'No order ID provided. Please check your link.',
+        'error.failed': 'Failed to load photos. Please try again or contact support.',
+        'error.help': 'Need help? Email',
+        'footer.questions': 'Questions? Contact us at',
+        'diagnostics.copy': 'Copy diagnostics for support',
+        'diagnostics.copied': 'Copied - paste it into your email',
+        'diagnostics.failed': 'Could not copy - please try again',
+
+        'common.cancel': 'Cancel',
+        'common.delete': 'Delete',
+        'common.close': 'Close',
+        'common.dismiss': 'Dismiss',
+
+        'delete.title': { one: 'Delete Photo?', other: 'Delete {count} Photos?' },
+        'delete.body': { one: 'Are you sure you want to delete this photo?', other: 'Are you sure you want to delete these {count} photos?' },
+
+        'repair.title': 'We fixed a few problems with your saved order',
+        'repair.unreadable': 'Your saved order could not be read, so your photos are shown in the order our AI chose.',
+        'repair.restored': { one: '{count} photo that was missing from it was put back where the AI placed it.', other: '{count} photos that were missing from it were put back where the AI placed them.' },
+        'repair.unknown': { one: '{count} photo that no longer exists was removed.', other: '{count} photos that no longer exist were removed.' },
+        'repair.duplicates': { one: '{count} photo was listed twice; the extra copy was removed.', other: '{count} photos were listed twice; the extra copies were removed.' },
+
+        'thanks.title': 'Download Started!',
+        'thanks.main': { one: '{count} photo is being downloaded as a zip file.', other: '{count} photos are being downloaded as a zip file.' },
+        'thanks.email': 'A backup download link has also been emailed to you.',
+        'thanks.named': 'Your files are named:',
+        'thanks.gaps': 'This numbering allows you to easily insert additional photos between existing ones in your slideshow software.',
+        'thanks.again': 'Download Again',
+        'thanks.emailed_title': 'Your Zip Is Ready!',
+        'thanks.emailed': { one: 'Your zip of {count} photo has been emailed to you.', other: 'Your zip of {count} photos has been emailed to you.' },
+
+        'zipjob.queued': 'Getting your zip ready...',
+        'zipjob.running': 'Building your zip: {percent}%',
+        'zipjob.note': 'You can close this page - the zip keeps building and picks up here when you come back.',
+        'zipjob.expired': 'This download is no longer available. Please click Download All again.',
+        'zipjob.failed': 'We could not build your zip.',
+        'zipjob.timeout': 'Your zip is taking much longer than expected. Please try again or contact support.',
+        'zipjob.no_link': 'Your zip was built but we could not get a download link for it. Please try again.',
+
+        'download_error.title': 'Download failed',
+        'download_error.default': 'Please try again or contact support.',
+
+        'analytics.years': { one: '{count} year', other: '{count} years' },
+        'analytics.of_memories': 'of memories',
+        'analytics.faces': 'Faces Analyzed',
+        'analytics.comparisons': 'Face Comparisons',
+        'analytics.people': 'People Identified',
+        'analytics.manual_time': 'Estimated manual sorting time:',
+        'analytics.technical': 'Using facial recognition and AI matching, we analyzed {photos} photos, detected {faces} faces, and made {comparisons} comparisons to build your chronological timeline.',
+
+        'time.hours': { one: '{count} hour', other: '{count} hours' },
+        'time.minutes': { one: '{count} minute', other: '{count} minutes' },
+
+        'common.go': 'Go',
+        'common.done': 'Done',
+        'common.close_esc': 'Close (Esc)',
+        'common.previous': 'Previous',
+        'common.next': 'Next',
+        'common.previous_key': 'Previous (←)',
+        'common.next_key': 'Next (→)',
+
+        'toolbar.undo': '↶ Undo',
+        'toolbar.undo_title': 'Undo (Ctrl+Z)',
+        'toolbar.redo': '↷ Redo',
+        'toolbar.redo_title': 'Redo (Ctrl+Shift+Z)',
+        'toolbar.slideshow': '▶ Preview slideshow',
+        'toolbar.slideshow_title': 'Play the photos in order, as a slideshow would',
+        'toolbar.diff': 'Compare orders',
+        'toolbar.diff_title': 'See what changed since the AI arranged your photos',
+        'toolbar.duplicates_title': 'Look for photos uploaded more than once',
+        'toolbar.group': 'Group by age',
+
+        'naming.title': 'File naming options',
+        'naming.step': 'Number every',
+        'naming.padding': 'Digits',
+        'naming.keep_original': 'Keep original filename',
+        'naming.age_prefix': 'Prefix with age range',
+        'naming.hint': 'File names are previewed on each photo below while this panel is open.',
+
+        'gallery.label': 'Photos, in download order',
+        'keyboard.help': 'Use the arrow keys to browse photos. Press Space to pick up a photo, the arrow keys to move it, and Space again to drop it. Press Enter to view a photo full size, or Delete to remove it.',
+
+        'conflict.title': 'Order Updated by Our Team',
+        'conflict.body': 'Our team reviewed and updated this order after you opened it. You can keep your arrangement and bring in their changes, or reload to see their order (your unsaved changes will be lost).',
+        'conflict.reload': 'Reload Their Order',
+        'conflict.merge': 'Keep Mine & Merge',
+
+        'tile.alt': 'Photo {number}',
+        'tile.position': 'Photo {number} of {total}',
+        'tile.delete': 'Delete photo',
+        'tile.expand': 'View full size',
+        'tile.date': 'Set year or age',
+        'tile.delete_failed': 'Couldn\'t delete',
+        'tile.retry': 'Retry',
+        'tile.keep': 'Keep',
+        'tile.failed': 'Failed to load',
+
+        'sections.other': 'Other photos',
+        'sections.age': 'Age {age}',
+        'sections.ages': 'Ages {min}–{max}',
+        'sections.title': { one: '{label} ({count} photo)', other: '{label} ({count} photos)' },
+
+        'keyboard.picked_up': 'Picked up photo {number}. Use the arrow keys to move it, Space to drop, Escape to cancel.',
+        'keyboard.position': 'Position {number} of {total}',
+        'keyboard.dropped': 'Photo dropped at position {number}',
+        'keyboard.moved': 'Photo {from} moved to position {to}',
+        'keyboard.cancelled': 'Move cancelled. Photo is back at position {number}.',
+
+        'save.saved': 'All changes saved',
+        'save.saving': 'Saving...',
+        'save.offline': 'Offline - changes will save when you reconnect',
+        'save.conflict': 'Order was updated by our team',
+        'save.unsaved': 'Changes are not saved online - download your photos before you leave',
+
+        'deletes.retry_now': 'Retry now',
+        'deletes.retrying': { one: 'Retrying {count} delete...', other: 'Retrying {count} deletes...' },
+        'deletes.failed': { one: '{count} photo could not be deleted', other: '{count} photos could not be deleted' },
+
+        'broken.status': { one: '{count} photo failed to load', other: '{count} photos failed to load' },
+        'broken.show_only': 'Show only these',
+        'broken.show_all': 'Show all',
+        'broken.retry_all': 'Retry all',
+
+        'access.viewer': 'View-only link: you can look through the photos but not change or download them.',
+        'access.commenter': 'Comment link: you can leave comments on photos but not change or download them.',
+        'access.editor': 'Editor link: you can reorder, delete and download photos.',
+        'access.no_token': 'This link is view-only. Use the link from your order email to change or download your photos.',
+        'access.invalid': 'This link could not be verified, so it is view-only. Ask the order owner for a new link.',
+
+        'timeline.label': 'Timeline: jump to an age',
+        'timeline.jump': 'Jump to',
+        'timeline.jump_placeholder': 'Age',
+        'timeline.jump_placeholder_year': 'Age or year',
+        'timeline.ages_years': '{ages}, {years}',
+        'timeline.gap': '{label}: no photos',
+        'timeline.period': { one: '{label}: {count} photo', other: '{label}: {count} photos' },
+        'timeline.none_shown': '{label}: no photos are shown right now.',
+        'timeline.enter_number': 'Enter an age, like 30, or a year, like 1985.',
+        'timeline.no_birthdate': 'The birthdate isn\'t set for this order, so enter an age instead of a year.',
+        'timeline.nearest_year': 'No photos from {year}. Showing {label}.',
+        'timeline.nearest_age': 'No photos at age {age}. Showing {label}.',
+
+        'selection.count': { one: '{count} photo selected', other: '{count} photos selected' },
+        'selection.move_to': 'Move to position',
+        'selection.section_start': 'Move to start of age',
+        'selection.section_end': 'Move to end of age',
+        'selection.delete': 'Delete selected',
+        'selection.clear': 'Clear',
+
+        'lightbox.label': 'Photo viewer',
+        'lightbox.earlier': '◀ Move earlier',
+        'lightbox.later': 'Move later ▶',
+        'lightbox.move_to': 'Move to',
+        'lightbox.delete': '🗑 Delete',
+
+        'slideshow.label': 'Slideshow preview',
+        'slideshow.play_title': 'Play / pause (Space)',
+        'slideshow.play': '▶ Play',
+        'slideshow.pause': '❚❚ Pause',
+        'slideshow.duration': 'Seconds per photo',
+        'slideshow.crossfade': 'Crossfade',
+        'slideshow.music': '🎵 Music',
+        'slideshow.fix_title': 'Stop here and show this photo in the gallery',
+        'slideshow.fix': 'Fix in grid',
+        'slideshow.ended': 'End of slideshow',
+        'slideshow.runtime': 'Runtime {time}',
+        'slideshow.music_length': 'Music {time}',
+        'slideshow.music_repeats': 'Music {time} (repeats)',
+
+        'diff.compare_with': 'Compare with',
+        'diff.source_ai': 'AI order',
+        'diff.source_qa': 'Saved (QA) order',
+        'diff.ai_order': 'the AI order',
+        'diff.qa_order': 'the saved (QA) order',
+        'diff.reset_all': 'Reset all to this order',
+        'diff.deleted_label': 'Deleted photos',
+        'diff.unavailable': 'Cannot compare with {source} yet.',
+        'diff.load_failed': 'Could not load the order to compare with. Please try again.',
+        'diff.new': 'New',
+        'diff.new_title': 'Not in {source}',
+        'diff.moved_earlier': { one: 'Moved {count} place earlier than in {source}. Click to put it back.', other: 'Moved {count} places earlier than in {source}. Click to put it back.' },
+        'diff.moved_later': { one: 'Moved {count} place later than in {source}. Click to put it back.', other: 'Moved {count} places later than in {source}. Click to put it back.' },
+        'diff.moved': '{count} moved',
+        'diff.deleted': '{count} deleted',
+        'diff.added': '{count} not in {source}',
+        'diff.same': 'Same as {source}',
+        'diff.restore': 'Restore',
+        'diff.already_deleted': 'That photo has already been permanently deleted and cannot be restored.',
+
+        'duplicates.find': 'Find duplicates',
+        'duplicates.title': 'Possible Duplicates',
+        'duplicates.checking': 'Checking {done}/{total}...',
+        'duplicates.badge_title': 'Compare likely duplicates',
+        'duplicates.badge': 'Duplicate {number}',
+        'duplicates.review': 'Review duplicates ({count})',
+        'duplicates.none': 'No duplicates found',
+        'duplicates.summary': { one: 'Group {number} of {total}: this photo looks the same. Keep the best one and delete the rest.', other: 'Group {number} of {total}: these {count} photos look the same. Keep the best one and delete the rest.' },
+        'duplicates.keep': 'Keep this one',
+
+        'details.title': 'Photo Details',
+        'details.image': 'Selected photo',
+        'details.position': 'Position',
+        'details.position_value': '{number} of {total}',
+        'details.original_filename': 'Original filename',
+        'details.age_range': 'Age range',
+        'details.not_set': 'Not set',
+        'details.rank': 'Rank in age range',
+        'details.dated_by': 'Dated by',
+        'details.dated_by_you': 'Dated by you',
+        'details.year_age': '{year} (age {age})',
+        'details.original_range': 'Originally sorted into',
+        'details.estimated_age': 'Estimated age',
+        'details.faces': 'Faces detected',
+        'details.face_groups': 'Face groups',
+        'details.location': 'File location',
+        'details.source_unknown': 'Unknown',
+        'details.source_exif': 'Photo date (EXIF)',
+        'details.source_exif_overridden': 'Photo date (EXIF), manually overridden',
+        'details.source_ai': 'AI age estimate ({method})',
+        'details.source_ai_overridden': 'AI age estimate ({method}), EXIF date overridden',
+
+        'notes.title': 'Comments',
+        'notes.family_member': 'Family member',
+        'notes.needs_attention': 'Needs attention',
+        'notes.flag': 'Flag for attention',
+        'notes.comment_count': { one: '{count} comment', other: '{count} comments' },
+        'notes.flagged_only': 'Flagged only ({count})',
+        'notes.empty': 'No comments yet',
+        'notes.name_placeholder': 'Your name',
+        'notes.text_placeholder': 'Add a comment about this photo',
+        'notes.add': 'Add comment',
+        'notes.local_only': 'Comments are only kept in this browser for now - our team can\'t see them yet.',
+
+        'dating.title': 'When Was This Taken?',
+        'dating.year': 'Year taken',
+        'dating.age': 'or age in the photo',
+        'dating.clear': 'Use AI date',
+        'dating.save': 'Move photo',
+        'dating.change_title': 'Dated by you - click to change',
+        'dating.year_example': 'e.g. {year}',
+        'dating.no_birthdate': 'Birthdate not set',
+        'dating.year_range': 'Enter a year from {first} to {last}',
+        'dating.age_range': 'Enter an age from 0 to {max}',
+        'dating.enter_year_or_age': 'Enter the year taken or the age in the photo',
+        'dating.enter_age': 'Enter the age in the photo',
+        'dating.moves_to': 'Moves to {label}',
+
+        'localzip.heading': 'Building your zip...',
+        'localzip.progress': 'Photo {done} of {total} ({percent}%)',
+        'localzip.file_type': 'Zip file',
+        'localzip.too_large': 'This order is too large to zip in the browser (over 4 GB).',
+        'localzip.too_large_memory': 'This order is too large to zip in this browser. Please try again in Chrome or Edge, or contact support.',
+        'localzip.fetch_failed': 'Could not fetch photo {number} ({status}). Please try again.'
+    },
+
+    locale: 'en',
+    messages: {},
+
+    /**
+     * Pick the language, load its catalog and translate the static markup
+     * @param {string|null} requested - ?lang= from the URL
+     */
+    async init(requested) {
+        this.locale = this.detect(requested);
+        document.documentElement.lang = this.locale;
+
+        if (this.locale !== 'en') {
+            try {
+                const response = await fetch(`locales/${this.locale}.json`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.messages = await response.json();
+            } catch (error) {
+                console.log(`[I18N] Could not load ${this.locale} messages, using English:`, error.message);
+                this.messages = {};
+            }
+        }
+
+        console.log(`[I18N] Language: ${this.locale}`);
+        this.translatePage();
+    },
+
+    /**
+     * ?lang= first, then the browser's languages ("es-MX" -> "es"), then English
+     */
+    detect(requested) {
+        const candidates = [requested, ...(navigator.languages || [navigator.language])];
+        for (const candidate of candidates) {
+            const lang = (candidate || '').toLowerCase().split('-')[0];
+            if (this.SUPPORTED.includes(lang)) return lang;
+        }
+        return 'en';
+    },
+
+    /**
+     * @param {string} key - Message key, e.g. 'delete.title'
+     * @param {Object} [params] - Placeholder values; count selects the plural form
+     */
+    t(key, params = {}) {
+        let message = this.messages[key] !== undefined ? this.messages[key] : this.EN[key];
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(this.locale).select(params.count || 0);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined) return match;
+            return typeof value === 'number' ? this.formatNumber(value) : value;
+        });
+    },
+
+    formatNumber(num, options) {
+        return new Intl.NumberFormat(this.locale, options).format(num || 0);
+    },
+
+    formatDate(date, options) {
+        return new Intl.DateTimeFormat(this.locale, options || { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(date));
+    },
+
+    translatePage() {
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        this.ATTRIBUTES.forEach(attribute => {
+            document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+                el.setAttribute(attribute, this.t(el.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+};
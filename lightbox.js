@@ -0,0 +1,145 @@
+// Memorial Video AI - Lightbox Viewer
+// Full-size preview that steps through photoOrder and can reorder or delete in place
+
+const Lightbox = {
+
+    s3Key: null,
+    lastIndex: 0,
+
+    /**
+     * Keyboard: ←/→ step, Shift+←/→ move the photo, Delete removes it, Esc closes
+     */
+    init() {
+        document.addEventListener('keydown', (e) => {
+            if (!this.s3Key) return;
+            if (e.target.closest('input, textarea, select')) {
+                if (e.key === 'Enter' && e.target.id === 'lightboxMoveTo') this.moveToInput();
+                return;
+            }
+            if (document.querySelector('.custom-modal-overlay.active')) return;
+
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                const delta = e.key === 'ArrowLeft' ? -1 : 1;
+                if (e.shiftKey) {
+                    this.moveBy(delta);
+                } else {
+                    this.step(delta);
+                }
+            } else if (e.key === 'Delete') {
+                e.preventDefault();
+                this.deleteCurrent();
+            } else if (e.key === 'Escape') {
+                e.stopImmediatePropagation();
+                this.close();
+            }
+        }, true);
+
+        // Double-click a tile to open it full size
+        document.getElementById('photoGallery').addEventListener('dblclick', (e) => {
+            const tile = e.target.closest('.photo-item');
+            if (tile) this.open(tile.dataset.s3Key);
+        });
+    },
+
+    open(s3Key) {
+        const lightbox = document.getElementById('lightbox');
+        const opening = !lightbox.classList.contains('active');
+
+        this.s3Key = s3Key;
+        lightbox.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        this.render();
+
+        // Focus starts on the close button and Tab stays inside the viewer
+        if (opening) trapModalFocus(lightbox, () => this.close());
+    },
+
+    close() {
+        const lightbox = document.getElementById('lightbox');
+        const s3Key = this.s3Key;
+        this.s3Key = null;
+        lightbox.classList.remove('active');
+        document.body.style.overflow = '';
+        releaseModalFocus(lightbox);
+
+        // Land the grid on the photo we were looking at
+        if (photoOrder.includes(s3Key)) scrollToPhoto(s3Key);
+    },
+
+    step(delta) {
+        const index = photoOrder.indexOf(this.s3Key) + delta;
+        if (index < 0 || index >= photoOrder.length) return;
+        this.s3Key = photoOrder[index];
+        this.render();
+    },
+
+    moveBy(delta) {
+        const index = photoOrder.indexOf(this.s3Key);
+        this.moveTo(index + delta);
+    },
+
+    moveToInput() {
+        const input = document.getElementById('lightboxMoveTo');
+        const position = parseInt(input.value, 10);
+        if (!position) return;
+        input.value = '';
+        this.moveTo(position - 1);
+    },
+
+    /**
+     * Move the current photo to a 0-based position (clamped to the gallery)
+     */
+    moveTo(index) {
+        const from = photoOrder.indexOf(this.s3Key);
+        const to = Math.max(0, Math.min(photoOrder.length - 1, index));
+        if (from === to) return;
+
+        OrderHistory.execute(OrderHistory.moveCommand([this.s3Key], to));
+        console.log(`[LIGHTBOX] Moved photo from position ${from + 1} to ${to + 1}`);
+    },
+
+    async deleteCurrent() {
+        const s3Key = this.s3Key;
+        const confirmed = await showDeleteConfirm();
+        if (!confirmed || this.s3Key !== s3Key) return;
+
+        console.log('[LIGHTBOX] Removing photo (undoable until download):', s3Key);
+        OrderHistory.execute(OrderHistory.deleteCommand([s3Key]));
+    },
+
+    /**
+     * Called from onOrderChanged(): keep position in sync, or move on if the photo was deleted
+     */
+    refresh() {
+        if (!this.s3Key) return;
+
+        if (!photoOrder.includes(this.s3Key)) {
+            if (photoOrder.length === 0) {
+                this.close();
+                return;
+            }
+            this.s3Key = photoOrder[Math.min(this.lastIndex, photoOrder.length - 1)];
+        }
+        this.render();
+    },
+
+    render() {
+        const index = photoOrder.indexOf(this.s3Key);
+        this.lastIndex = index;
+
+        const image = document.getElementById('lightboxImage');
+        image.src = photoUrl(this.s3Key);
+        image.alt = I18n.t('tile.alt', { number: index + 1 });
+
+        document.getElementById('lightboxPosition').textContent = `${index + 1} / ${photoOrder.length}`;
+        document.getElementById('lightboxMoveTo').max = photoOrder.length;
+        document.getElementById('lightboxPrev').disabled = index === 0;
+        document.getElementById('lightboxNext').disabled = index === photoOrder.length - 1;
+
+        // Warm the cache for the neighbours
+        [index - 1, index + 1].forEach(i => {
+            if (photoOrder[i]) new Image().src = photoUrl(photoOrder[i]);
+        });
+    }
+};
@@ -0,0 +1,153 @@
+// Memorial Video AI - Link Roles
+// A shared link can carry ?access=<token> to limit what the person opening it can do:
+//   viewer    - look through the photos only
+//   commenter - look and leave comments
+//   editor    - everything the order owner can do
+// The token is base64url(JSON payload) + "." + base64url(ECDSA P-256 signature), with
+// payload { uid, role, exp? }. It is signed server-side; the page only verifies it with
+// ACCESS_LINK_PUBLIC_KEY (set per brand in brands.json as access_public_key) and passes
+// it on to the Lambdas. The checks here only shape the UI - the delete, zip and save
+// Lambdas must reject requests whose token role lacks the permission.
+// Roles are only enforced for brands that set access_public_key. There the owner's link
+// carries an editor token too: a link without one, or with one that can't be verified, is
+// view-only, so removing &access= from a shared link gains nothing. Brands without a key
+// don't issue tokens, so every link keeps the owner's full access.
+
+const LinkAccess = {
+
+    PERMISSIONS: {
+        viewer:    { reorder: false, delete: false, comment: false, download: false },
+        commenter: { reorder: false, delete: false, comment: true,  download: false },
+        editor:    { reorder: true,  delete: true,  comment: true,  download: true }
+    },
+
+    LABELS: {
+        viewer: 'access.viewer',
+        commenter: 'access.commenter',
+        editor: 'access.editor'
+    },
+
+    role: 'viewer',
+    token: null,
+    enforced: false,    // the brand has a key to verify tokens with
+    invalid: false,     // a token was given but could not be verified
+
+    /**
+     * Read and verify the access token from the URL, then restrict the UI to match
+     */
+    async init(uid) {
+        const urlParams = new URLSearchParams(window.location.search);
+        this.token = urlParams.get('access');
+        this.enforced = !!ACCESS_LINK_PUBLIC_KEY;
+
+        // Nothing issues tokens for this brand - every link is the owner's
+        if (!this.enforced) {
+            this.role = 'editor';
+            console.log('[ACCESS] No public key configured, roles not enforced');
+            this.applyUi();
+            return;
+        }
+
+        // Fail closed: no token, or a bad or expired one, never gets more than viewing
+        this.role = 'viewer';
+        if (this.token) {
+            const payload = await this.verify(this.token, uid);
+            if (payload) {
+                this.role = payload.role;
+            } else {
+                this.invalid = true;
+            }
+        }
+        console.log(`[ACCESS] ${this.token ? '' : 'No token, '}${this.invalid ? 'invalid token, ' : ''}role: ${this.role}`);
+
+        this.applyUi();
+    },
+
+    /**
+     * @returns {Object|null} The payload if the signature, order and expiry check out
+     */
+    async verify(token, uid) {
+        if (!window.crypto || !crypto.subtle) {
+            console.log('[ACCESS] Web Crypto unavailable, cannot verify link token');
+            return null;
+        }
+
+        try {
+            const [payloadPart, signaturePart] = token.split('.');
+            const key = await crypto.subtle.importKey(
+                'jwk', ACCESS_LINK_PUBLIC_KEY, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']
+            );
+            const valid = await crypto.subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                key,
+                this.base64UrlDecode(signaturePart),
+                new TextEncoder().encode(payloadPart)
+            );
+            if (!valid) return null;
+
+            const payload = JSON.parse(new TextDecoder().decode(this.base64UrlDecode(payloadPart)));
+            if (payload.uid !== uid || !this.PERMISSIONS[payload.role]) return null;
+            if (payload.exp && payload.exp * 1000 < Date.now()) {
+                console.log('[ACCESS] Link token expired');
+                return null;
+            }
+            return payload;
+        } catch (error) {
+            console.log('[ACCESS] Could not read link token:', error.message);
+            return null;
+        }
+    },
+
+    base64UrlDecode(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    },
+
+    /**
+     * @param {string} action - 'reorder', 'delete', 'comment' or 'download'
+     */
+    can(action) {
+        return this.PERMISSIONS[this.role][action];
+    },
+
+    /**
+     * Guard for actions: logs and tells the customer why nothing happened
+     */
+    allow(action) {
+        if (this.can(action)) return true;
+        console.log(`[ACCESS] ${action} blocked for ${this.role} link`);
+        GalleryKeyboard.announce(I18n.t(this.LABELS[this.role]));
+        return false;
+    },
+
+    /**
+     * Extra fields for Lambda requests so the server can check the link too
+     */
+    requestFields() {
+        return this.token ? { access_token: this.token } : {};
+    },
+
+    applyUi() {
+        Object.keys(this.PERMISSIONS.editor).forEach(action => {
+            document.body.classList.toggle(`cannot-${action}`, !this.can(action));
+        });
+
+        const banner = document.getElementById('accessBanner');
+        if (!this.enforced) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        let key = this.LABELS[this.role];
+        if (!this.token) {
+            key = 'access.no_token';
+        } else if (this.invalid) {
+            key = 'access.invalid';
+        }
+
+        banner.dataset.role = this.role;
+        banner.querySelector('.access-banner-text').textContent = I18n.t(key);
+        banner.style.display = 'flex';
+    }
+};
@@ -0,0 +1,255 @@
+// Memorial Video AI - In-Browser Zip Builder
+// Builds the download zip client-side when the ZIP Lambda is unavailable.
+// Output is deterministic: same photos + same order = byte-identical zip.
+// Where the browser can save files directly (showSaveFilePicker) the zip is streamed
+// to disk one photo at a time; elsewhere it is built in memory, up to MAX_MEMORY_BYTES.
+
+const LocalZip = {
+
+    // Zip entries without ZIP64 support are limited to 4 GB offsets
+    MAX_ZIP_BYTES: 0xFFFFFFFF,
+
+    // Largest zip held in memory when it can't be streamed to disk
+    MAX_MEMORY_BYTES: 1024 * 1024 * 1024,
+
+    // Fixed DOS timestamp (1980-01-01 00:00) so builds are reproducible
+    DOS_TIME: 0,
+    DOS_DATE: (0 << 9) | (1 << 5) | 1,
+
+    crcTable: null,
+    controller: null,
+
+    /**
+     * Build a zip of the given photos
+     * @param {Array} s3Keys - Photos in download order
+     * @param {Object} options
+     * @param {string} options.baseUrl - Where to fetch photos from (defaults to S3_BASE_URL)
+     * @param {Function} options.onProgress - Called with (done, total) after each photo
+     * @param {AbortSignal} options.signal - Cancels the build
+     * @param {Function} options.write - Takes each part of the zip as it is built (e.g. a
+     *        file stream's write); without it the parts are kept and returned as a Blob
+     * @returns {Promise<Blob|null>} The finished zip, or null when it was written out
+     */
+    async build(s3Keys, options = {}) {
+        const baseUrl = options.baseUrl || S3_BASE_URL;
+        const onProgress = options.onProgress || (() => {});
+        const encoder = new TextEncoder();
+
+        const parts = [];
+        const write = options.write || (async (...chunks) => parts.push(...chunks));
+        const maxBytes = options.write ? this.MAX_ZIP_BYTES : Math.min(this.MAX_ZIP_BYTES, this.MAX_MEMORY_BYTES);
+        const tooLarge = () => new Error(I18n.t(options.write ? 'localzip.too_large' : 'localzip.too_large_memory'));
+
+        const centralDirectory = [];
+        let offset = 0;
+
+        for (let i = 0; i < s3Keys.length; i++) {
+            const s3Key = s3Keys[i];
+            const response = await fetch(photoUrl(s3Key, baseUrl), { signal: options.signal });
+
+            if (!response.ok) {
+                throw new Error(I18n.t('localzip.fetch_failed', { number: i + 1, status: String(response.status) }));
+            }
+
+            // Stop before reading a photo that can't fit
+            const length = Number(response.headers.get('Content-Length'));
+            if (length && offset + length > maxBytes) throw tooLarge();
+
+            const data = new Uint8Array(await response.arrayBuffer());
+            const name = encoder.encode(ExportNaming.filename(i, s3Key));
+            const crc = this.crc32(data);
+
+            if (offset + 30 + name.length + data.length > maxBytes) throw tooLarge();
+
+            await write(this.localHeader(name, data.length, crc), name, data);
+            centralDirectory.push(this.centralHeader(name, data.length, crc, offset), name);
+            offset += 30 + name.length + data.length;
+
+            onProgress(i + 1, s3Keys.length);
+        }
+
+        const centralSize = centralDirectory.reduce((total, part) => total + part.length, 0);
+        await write(...centralDirectory, this.endOfCentralDirectory(s3Keys.length, centralSize, offset));
+
+        return options.write ? null : new Blob(parts, { type: 'application/zip' });
+    },
+
+    localHeader(name, size, crc) {
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);     // local file header signature
+        header.setUint16(4, 20, true);             // version needed (2.0)
+        header.setUint16(6, 0x0800, true);         // flags: UTF-8 names
+        header.setUint16(8, 0, true);              // method: store (photos are already compressed)
+        header.setUint16(10, this.DOS_TIME, true);
+        header.setUint16(12, this.DOS_DATE, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, size, true);          // compressed size
+        header.setUint32(22, size, true);          // uncompressed size
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);             // extra field length
+        return new Uint8Array(header.buffer);
+    },
+
+    centralHeader(name, size, crc, offset) {
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014b50, true);     // central directory signature
+        header.setUint16(4, 20, true);             // version made by
+        header.setUint16(6, 20, true);             // version needed
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, this.DOS_TIME, true);
+        header.setUint16(14, this.DOS_DATE, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, size, true);
+        header.setUint32(24, size, true);
+        header.setUint16(28, name.length, true);
+        header.setUint16(30, 0, true);             // extra field length
+        header.setUint16(32, 0, true);             // comment length
+        header.setUint16(34, 0, true);             // disk number
+        header.setUint16(36, 0, true);             // internal attributes
+        header.setUint32(38, 0, true);             // external attributes
+        header.setUint32(42, offset, true);
+        return new Uint8Array(header.buffer);
+    },
+
+    endOfCentralDirectory(count, size, offset) {
+        const record = new DataView(new ArrayBuffer(22));
+        record.setUint32(0, 0x06054b50, true);
+        record.setUint16(4, 0, true);
+        record.setUint16(6, 0, true);
+        record.setUint16(8, count, true);
+        record.setUint16(10, count, true);
+        record.setUint32(12, size, true);
+        record.setUint32(16, offset, true);
+        record.setUint16(20, 0, true);
+        return new Uint8Array(record.buffer);
+    },
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * Build the zip for the current photoOrder with a progress overlay, then save it
+     * @returns {Promise<boolean>} true if the zip was saved, false if cancelled
+     */
+    async download() {
+        const filename = `${brandName.replace(/\s+/g, '')}-${uid}.zip`;
+        this.controller = new AbortController();
+
+        try {
+            const file = await this.openFile(filename);
+            this.showProgress(0, photoOrder.length);
+
+            const build = {
+                signal: this.controller.signal,
+                onProgress: (done, total) => this.showProgress(done, total)
+            };
+
+            if (file) {
+                build.write = (...chunks) => file.write(new Blob(chunks));
+                try {
+                    await this.build(photoOrder, build);
+                    await file.close();
+                } catch (error) {
+                    await file.abort().catch(() => {});
+                    throw error;
+                }
+                console.log(`[LOCAL ZIP] Saved ${photoOrder.length} photos to disk`);
+                return true;
+            }
+
+            const blob = await this.build(photoOrder, build);
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+
+            console.log(`[LOCAL ZIP] Saved ${photoOrder.length} photos (${blob.size} bytes)`);
+            return true;
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('[LOCAL ZIP] Cancelled');
+                return false;
+            }
+            throw error;
+        } finally {
+            this.controller = null;
+            this.hideProgress();
+        }
+    },
+
+    /**
+     * Ask where to save the zip, so it can be streamed to disk
+     * @returns {Promise<FileSystemWritableFileStream|null>} null when the browser can't
+     *          (the zip is then built in memory)
+     * @throws {DOMException} AbortError when the customer closes the save dialog
+     */
+    async openFile(filename) {
+        if (!window.showSaveFilePicker) return null;
+
+        try {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: filename,
+                types: [{ description: I18n.t('localzip.file_type'), accept: { 'application/zip': ['.zip'] } }]
+            });
+            return await handle.createWritable();
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            // e.g. the click that allowed the dialog was too long ago
+            console.log('[LOCAL ZIP] Could not open a file to save to, building in memory:', error.message);
+            return null;
+        }
+    },
+
+    cancel() {
+        if (this.controller) this.controller.abort();
+    },
+
+    showProgress(done, total) {
+        let overlay = document.getElementById('localZipProgress');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'localZipProgress';
+            overlay.className = 'zip-progress-overlay';
+            overlay.innerHTML = `
+                <div class="zip-progress-box">
+                    <h3>${escapeHtml(I18n.t('localzip.heading'))}</h3>
+                    <div class="zip-progress-bar"><div class="zip-progress-fill"></div></div>
+                    <p class="zip-progress-text"></p>
+                    <button type="button" class="custom-modal-btn secondary" onclick="LocalZip.cancel()">${escapeHtml(I18n.t('common.cancel'))}</button>
+                </div>
+            `;
+            document.body.appendChild(overlay);
+        }
+
+        const percent = total ? Math.round((done / total) * 100) : 0;
+        overlay.querySelector('.zip-progress-fill').style.width = `${percent}%`;
+        overlay.querySelector('.zip-progress-text').textContent = I18n.t('localzip.progress', { done, total, percent });
+    },
+
+    hideProgress() {
+        const overlay = document.getElementById('localZipProgress');
+        if (overlay) overlay.remove();
+    }
+};
@@ -0,0 +1,279 @@
+// Memorial Video AI - Order Diff
+// Compares the customer's arrangement with a reference order - the AI order from the
+// manifest, or the order last saved to custom_order.json (what QA works from). Moved
+// photos get a badge saying how far they moved, deleted ones are listed, and single
+// photos or the whole gallery can be put back the way the reference has them.
+
+const OrderDiff = {
+
+    SOURCES: {
+        ai: 'diff.ai_order',
+        qa: 'diff.qa_order'
+    },
+
+    active: false,
+    source: 'ai',
+    reference: [],          // S3 keys in reference order
+    moved: new Map(),       // s3Key -> places moved (negative = earlier than the reference)
+    added: new Set(),       // in the gallery but not in the reference
+    deleted: [],            // in the reference but no longer in the gallery
+
+    /**
+     * "the AI order" / "the saved (QA) order", in the page's language
+     */
+    sourceName(source = this.source) {
+        return I18n.t(this.SOURCES[source]);
+    },
+
+    async toggle() {
+        if (this.active) {
+            this.exit();
+        } else {
+            await this.load(this.source);
+        }
+    },
+
+    /**
+     * Fetch a reference order and switch diff mode on
+     * @param {string} source - 'ai' or 'qa'
+     */
+    async load(source) {
+        const btn = document.getElementById('diffToggle');
+        btn.disabled = true;
+
+        try {
+            const reference = source === 'qa' ? await this.fetchSavedOrder() : await this.fetchAiOrder();
+            if (!reference) {
+                GalleryKeyboard.announce(I18n.t('diff.unavailable', { source: this.sourceName(source) }));
+                document.getElementById('diffSource').value = this.source;
+                return;
+            }
+
+            this.source = source;
+            this.reference = reference;
+            this.active = true;
+            console.log(`[DIFF] Comparing with the ${source} order (${reference.length} photos)`);
+        } catch (error) {
+            console.error('[DIFF ERROR] Could not load reference order:', error);
+            GalleryKeyboard.announce(I18n.t('diff.load_failed'));
+            return;
+        } finally {
+            btn.disabled = false;
+        }
+
+        document.getElementById('diffSource').value = this.source;
+        document.getElementById('diffBar').classList.add('active');
+        btn.setAttribute('aria-pressed', 'true');
+        this.refresh();
+    },
+
+    async fetchAiOrder() {
+        const response = await fetch(`${S3_BASE_URL}/metadata/${OrderSync.uid}/final_filenames.json`, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return sortManifestKeys(OrderRepair.validateManifest(await response.json()).entries);
+    },
+
+    async fetchSavedOrder() {
+        const remote = await OrderSync.fetchRemoteOrder();
+        return remote && remote.order ? remote.order : null;
+    },
+
+    exit() {
+        this.active = false;
+        this.moved = new Map();
+        this.added = new Set();
+        this.deleted = [];
+
+        document.getElementById('diffBar').classList.remove('active');
+        document.getElementById('diffToggle').setAttribute('aria-pressed', 'false');
+        photoTiles.forEach(tile => this.decorate(tile));
+    },
+
+    /**
+     * Called from onOrderChanged(): recompute against the loaded reference
+     */
+    refresh() {
+        if (!this.active) return;
+
+        this.compute();
+        photoTiles.forEach(tile => this.decorate(tile));
+        this.render();
+    },
+
+    /**
+     * Photos in the longest run that is still in reference order count as unmoved;
+     * everything else moved. Distances are measured among the photos both orders share,
+     * so a delete doesn't make every later photo look moved.
+     */
+    compute() {
+        const current = new Set(photoOrder);
+        const refIndex = new Map(this.reference.map((key, i) => [key, i]));
+
+        const common = photoOrder.filter(key => refIndex.has(key));
+        const refPosition = new Map(this.reference.filter(key => current.has(key)).map((key, i) => [key, i]));
+        const inPlace = this.longestIncreasing(common.map(key => refIndex.get(key)));
+
+        this.moved = new Map();
+        common.forEach((key, i) => {
+            if (!inPlace.has(i)) this.moved.set(key, i - refPosition.get(key));
+        });
+        this.added = new Set(photoOrder.filter(key => !refIndex.has(key)));
+        this.deleted = this.reference.filter(key => !current.has(key));
+    },
+
+    /**
+     * @returns {Set} Indices of one longest strictly increasing subsequence of values
+     */
+    longestIncreasing(values) {
+        const tails = [];           // index of the smallest tail for each run length
+        const previous = new Array(values.length);
+
+        values.forEach((value, i) => {
+            let lo = 0;
+            let hi = tails.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (values[tails[mid]] < value) lo = mid + 1; else hi = mid;
+            }
+            previous[i] = lo > 0 ? tails[lo - 1] : -1;
+            tails[lo] = i;
+        });
+
+        const result = new Set();
+        for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+            result.add(i);
+        }
+        return result;
+    },
+
+    decorate(tile) {
+        const s3Key = tile.dataset.s3Key;
+        const distance = this.moved.get(s3Key);
+        const added = this.added.has(s3Key);
+        let badge = tile.querySelector('.diff-badge');
+
+        tile.classList.toggle('diff-moved', distance !== undefined);
+        tile.classList.toggle('diff-added', added);
+
+        if (distance === undefined && !added) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('button');
+            badge.type = 'button';
+            badge.className = 'diff-badge';
+            badge.tabIndex = -1;
+            tile.appendChild(badge);
+        }
+
+        if (added) {
+            badge.textContent = I18n.t('diff.new');
+            badge.title = I18n.t('diff.new_title', { source: this.sourceName() });
+            badge.onclick = null;
+            return;
+        }
+
+        badge.textContent = `${distance < 0 ? '↑' : '↓'} ${I18n.formatNumber(Math.abs(distance))}`;
+        badge.title = I18n.t(distance < 0 ? 'diff.moved_earlier' : 'diff.moved_later',
+            { count: Math.abs(distance), source: this.sourceName() });
+        badge.onclick = () => this.resetPhoto(s3Key);
+    },
+
+    render() {
+        const moved = this.moved.size;
+        const deleted = this.deleted.length;
+        const changes = [
+            I18n.t('diff.moved', { count: moved }),
+            I18n.t('diff.deleted', { count: deleted }),
+            ...(this.added.size ? [I18n.t('diff.added', { count: this.added.size, source: this.sourceName() })] : [])
+        ];
+        document.getElementById('diffSummary').textContent = moved || deleted || this.added.size
+            ? changes.join(' · ')
+            : I18n.t('diff.same', { source: this.sourceName() });
+        const redated = this.source === 'ai' && (bucketOverrides.size || PhotoDating.corrections.size);
+        document.getElementById('diffResetAll').disabled = !moved && !redated;
+
+        const list = document.getElementById('diffDeleted');
+        list.innerHTML = this.deleted.map(s3Key => `
+            <li class="diff-deleted-item">
+                <img src="${escapeHtml(thumbnailUrl(s3Key, THUMBNAIL_WIDTHS[0]))}" alt="" loading="lazy" onerror="this.style.visibility='hidden'">
+                <span>${escapeHtml(parseFinalFilename(s3Key).originalFilename || s3Key.split('/').pop())}</span>
+                <button type="button" class="toolbar-btn" data-s3-key="${escapeHtml(s3Key)}" data-requires="reorder">${escapeHtml(I18n.t('diff.restore'))}</button>
+            </li>
+        `).join('');
+        list.querySelectorAll('button[data-s3-key]').forEach(btn => {
+            btn.addEventListener('click', () => this.restorePhoto(btn.dataset.s3Key));
+        });
+    },
+
+    /**
+     * Where a photo goes back to: right after the nearest photo before it in the
+     * reference that is still in the gallery
+     */
+    referenceIndex(s3Key, order) {
+        for (let i = this.reference.indexOf(s3Key) - 1; i >= 0; i--) {
+            const at = order.indexOf(this.reference[i]);
+            if (at !== -1) return at + 1;
+        }
+        return 0;
+    },
+
+    resetPhoto(s3Key) {
+        const remaining = photoOrder.filter(key => key !== s3Key);
+        // Back to the AI order also means back to the AI's age group and date
+        const toBucket = this.source === 'ai' && bucketOverrides.has(s3Key) ? null : undefined;
+
+        const command = OrderHistory.moveCommand([s3Key], this.referenceIndex(s3Key, remaining), toBucket);
+        if (this.source === 'ai') this.clearDates(command, [s3Key]);
+
+        console.log(`[DIFF] Resetting ${s3Key} to the ${this.source} order`);
+        OrderHistory.execute(command);
+    },
+
+    clearDates(command, keys) {
+        const dated = keys.filter(key => PhotoDating.corrections.has(key));
+        if (dated.length) {
+            command.dateCorrections = dated.map(key => ({ key, from: PhotoDating.corrections.get(key), to: null }));
+        }
+    },
+
+    /**
+     * Put a deleted photo back, if it hasn't been removed from S3 yet
+     */
+    async restorePhoto(s3Key) {
+        if (!LinkAccess.allow('reorder')) return;
+
+        if (!await DeleteQueue.objectExists(s3Key)) {
+            console.log(`[DIFF] ${s3Key} is no longer stored, cannot restore`);
+            GalleryKeyboard.announce(I18n.t('diff.already_deleted'));
+            return;
+        }
+        if (photoOrder.includes(s3Key)) return;
+
+        console.log(`[DIFF] Restoring ${s3Key}`);
+        OrderHistory.execute(OrderHistory.restoreCommand([s3Key], this.referenceIndex(s3Key, photoOrder)));
+    },
+
+    /**
+     * Whole gallery back to the reference order. Deleted photos stay deleted (restore
+     * them one by one), photos the reference doesn't have go at the end.
+     */
+    resetAll() {
+        const current = new Set(photoOrder);
+        const refSet = new Set(this.reference);
+        const keys = [
+            ...this.reference.filter(key => current.has(key)),
+            ...photoOrder.filter(key => !refSet.has(key))
+        ];
+
+        const command = OrderHistory.moveCommand(keys, 0);
+        if (this.source === 'ai') {
+            command.bucketChanges = Array.from(bucketOverrides.entries()).map(([key, bucket]) => ({ key, from: bucket, to: null }));
+            this.clearDates(command, keys);
+        }
+
+        console.log(`[DIFF] Resetting all photos to the ${this.source} order`);
+        OrderHistory.execute(command);
+    }
+};
@@ -0,0 +1,258 @@
+// Memorial Video AI - Undo / Redo History
+// Records moves and deletes as commands so they can be reversed.
+// Deletes are soft: the photo is only removed from S3 once its history entry
+// ages out, or when the customer downloads or leaves the page.
+
+const OrderHistory = {
+
+    MAX_ENTRIES: 100,
+    DELETE_GRACE_MS: 10 * 60 * 1000,   // how long a delete stays undoable
+    AGE_CHECK_MS: 30 * 1000,
+
+    undoStack: [],
+    redoStack: [],
+
+    /**
+     * Wire up keyboard shortcuts, toolbar state and the age-out timer
+     */
+    init() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Last chance to send soft deletes before the tab goes away
+        window.addEventListener('pagehide', () => {
+            this.commitDeletes(this.undoStack.length, { keepalive: true });
+        });
+
+        setInterval(() => this.ageOut(), this.AGE_CHECK_MS);
+
+        this.updateToolbar();
+    },
+
+    /**
+     * Build a move command (one or many photos)
+     * @param {Array} keys - S3 keys being moved, in their final relative order
+     * @param {number} toIndex - Position of the first moved photo after the move
+     * @param {string} [toBucket] - Age section the photos were dropped into, if it changed
+     */
+    moveCommand(keys, toIndex, toBucket) {
+        const command = {
+            type: keys.length > 1 ? 'multi-move' : 'move',
+            keys: keys.slice(),
+            fromIndices: keys.map(key => photoOrder.indexOf(key)),
+            toIndex: toIndex
+        };
+
+        if (toBucket !== undefined) {
+            command.bucketChanges = keys.map(key => ({
+                key: key,
+                from: bucketOverrides.get(key) || null,
+                to: toBucket
+            }));
+        }
+
+        return command;
+    },
+
+    /**
+     * Build a delete command
+     * @param {Array} keys - S3 keys being deleted
+     */
+    deleteCommand(keys) {
+        return {
+            type: 'delete',
+            keys: keys.slice(),
+            fromIndices: keys.map(key => photoOrder.indexOf(key))
+        };
+    },
+
+    /**
+     * Build a restore command: put photos that are no longer in the order back
+     * @param {Array} keys - S3 keys to restore
+     * @param {number} toIndex - Position of the first restored photo
+     */
+    restoreCommand(keys, toIndex) {
+        return {
+            type: 'restore',
+            keys: keys.slice(),
+            toIndex: toIndex
+        };
+    },
+
+    /**
+     * Apply a command and push it onto the undo stack
+     */
+    execute(command) {
+        if (!LinkAccess.allow(command.type === 'delete' ? 'delete' : 'reorder')) return;
+
+        command.timestamp = Date.now();
+        this.apply(command);
+        Telemetry.track('edit', { action: command.type, photos: command.keys.length });
+
+        this.undoStack.push(command);
+        this.redoStack = [];
+
+        if (this.undoStack.length > this.MAX_ENTRIES) {
+            this.commitDeletes(this.undoStack.length - this.MAX_ENTRIES);
+        }
+
+        this.updateToolbar();
+    },
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return;
+
+        this.revert(command);
+        this.redoStack.push(command);
+        Telemetry.track('undo', { action: command.type, photos: command.keys.length });
+        console.log(`[HISTORY] Undo ${command.type} (${command.keys.length} photo${command.keys.length > 1 ? 's' : ''})`);
+
+        this.updateToolbar();
+    },
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+
+        command.timestamp = Date.now();
+        this.apply(command);
+        this.undoStack.push(command);
+        Telemetry.track('redo', { action: command.type, photos: command.keys.length });
+        console.log(`[HISTORY] Redo ${command.type} (${command.keys.length} photo${command.keys.length > 1 ? 's' : ''})`);
+
+        this.updateToolbar();
+    },
+
+    apply(command) {
+        const keySet = new Set(command.keys);
+        const remaining = photoOrder.filter(key => !keySet.has(key));
+
+        if (command.type === 'delete') {
+            photoOrder = remaining;
+        } else {
+            remaining.splice(command.toIndex, 0, ...command.keys);
+            photoOrder = remaining;
+        }
+
+        (command.bucketChanges || []).forEach(change => setBucketOverride(change.key, change.to));
+        (command.dateCorrections || []).forEach(change => PhotoDating.set(change.key, change.to));
+
+        onOrderChanged();
+    },
+
+    revert(command) {
+        const keySet = new Set(command.keys);
+        const restored = photoOrder.filter(key => !keySet.has(key));
+
+        if (command.type === 'restore') {
+            photoOrder = restored;
+            onOrderChanged();
+            return;
+        }
+
+        // Re-insert at the original positions, lowest index first
+        command.keys
+            .map((key, i) => ({ key, index: command.fromIndices[i] }))
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ key, index }) => restored.splice(index, 0, key));
+
+        photoOrder = restored;
+
+        (command.bucketChanges || []).forEach(change => setBucketOverride(change.key, change.from));
+        (command.dateCorrections || []).forEach(change => PhotoDating.set(change.key, change.from));
+
+        onOrderChanged();
+    },
+
+    /**
+     * Delete photos deleted more than DELETE_GRACE_MS ago for real. Only the deletes
+     * leave the history - moves stay undoable until MAX_ENTRIES pushes them out.
+     */
+    ageOut() {
+        const cutoff = Date.now() - this.DELETE_GRACE_MS;
+        const aged = this.undoStack.filter(command => command.type === 'delete' && command.timestamp < cutoff);
+        if (aged.length === 0) return;
+
+        this.undoStack = this.undoStack.filter(command => !aged.includes(command));
+        this.queueDeletes(aged);
+    },
+
+    /**
+     * Drop the oldest `count` entries from the undo stack and queue their deletes
+     * @returns {Promise} Resolves after the first delete attempt
+     */
+    commitDeletes(count, options = {}) {
+        return this.queueDeletes(this.undoStack.splice(0, count), options);
+    },
+
+    /**
+     * Send the deletes of commands that have left the undo stack
+     */
+    queueDeletes(dropped, options = {}) {
+        const items = [];
+        dropped.forEach(command => {
+            if (command.type !== 'delete') return;
+            command.keys.forEach((key, i) => {
+                // Put back since (e.g. restored from the order diff) - keep it
+                if (photoOrder.includes(key)) return;
+                items.push({ key: key, index: command.fromIndices[i] });
+            });
+        });
+
+        this.updateToolbar();
+
+        if (items.length === 0) return Promise.resolve();
+
+        console.log(`[HISTORY] Committing ${items.length} pending delete${items.length > 1 ? 's' : ''}`);
+        return DeleteQueue.enqueue(items, options);
+    },
+
+    /**
+     * Send every pending delete now (before download). Moves stay undoable;
+     * everything up to the newest delete does not.
+     */
+    flushDeletes() {
+        let lastDelete = -1;
+        this.undoStack.forEach((command, i) => {
+            if (command.type === 'delete') lastDelete = i;
+        });
+        return this.commitDeletes(lastDelete + 1);
+    },
+
+    /**
+     * Number of photos deleted in the UI but not yet removed from S3
+     */
+    pendingDeleteCount() {
+        return this.undoStack
+            .filter(command => command.type === 'delete')
+            .reduce((total, command) => total + command.keys.length, 0);
+    },
+
+    /**
+     * Forget all history (order replaced wholesale), sending pending deletes first
+     */
+    reset() {
+        this.commitDeletes(this.undoStack.length);
+        this.redoStack = [];
+        this.updateToolbar();
+    },
+
+    updateToolbar() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (undoBtn) undoBtn.disabled = this.undoStack.length === 0;
+        if (redoBtn) redoBtn.disabled = this.redoStack.length === 0;
+    }
+};
@@ -0,0 +1,231 @@
+// Memorial Video AI - Order Validation and Repair
+// final_filenames.json and custom_order.json are written by different steps (the
+// pipeline, QA, autosave), so loadPhotos() checks both before trusting them:
+//   manifest      - a list of { final_key } entries; bad and repeated entries are skipped
+//   custom order  - { order: [s3Key], updated_at?, bucket_changes?, date_corrections? }; unreadable -> AI order
+// The custom order is then reconciled with the manifest: repeated keys are dropped
+// before the gallery is shown. Keys that need S3 to decide are checked once it is on
+// screen: keys in neither the manifest nor S3 are dropped, and manifest photos that
+// are missing from the order (and still in S3 - deleted photos stay deleted) are put
+// back where the AI placed them. A check that fails changes nothing. The customer is
+// told what was repaired.
+
+const OrderRepair = {
+
+    CHECK_CONCURRENCY: 8,       // HEAD requests in flight while checking keys
+
+    repairs: null,              // { unreadable, duplicates, unknown, restored }
+    droppedKeys: new Set(),     // unknown keys dropped at load, kept out of later merges
+    unchecked: null,            // { aiOrder, notInManifest, missing } waiting for checkStored()
+
+    /**
+     * Check final_filenames.json
+     * @param {*} data - Parsed manifest
+     * @returns {Object} { entries, invalid } - entries with a usable final_key, each key once
+     * @throws {Error} When the manifest is not a list at all
+     */
+    validateManifest(data) {
+        if (!Array.isArray(data)) {
+            throw new Error('Photo list (final_filenames.json) is not in the expected format');
+        }
+
+        const seen = new Set();
+        let invalid = 0;
+        const entries = data.filter(entry => {
+            const valid = entry && typeof entry === 'object' &&
+                typeof entry.final_key === 'string' && entry.final_key.trim() !== '';
+            if (!valid || seen.has(entry.final_key)) {
+                invalid++;
+                return false;
+            }
+            seen.add(entry.final_key);
+            return true;
+        });
+
+        if (invalid) console.log(`[REPAIR] Skipped ${invalid} invalid or repeated manifest entries`);
+        return { entries, invalid };
+    },
+
+    /**
+     * Check custom_order.json
+     * @param {*} data - Parsed custom order (undefined if it wasn't valid JSON)
+     * @returns {Object|null} { order, updatedAt, bucketChanges, dateCorrections }, or null when unusable
+     */
+    validateCustomOrder(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.order)) {
+            console.log('[REPAIR] Custom order is not in the expected format, ignoring it');
+            return null;
+        }
+
+        const order = data.order.filter(key => typeof key === 'string' && key.trim() !== '');
+        if (order.length < data.order.length) {
+            console.log(`[REPAIR] Skipped ${data.order.length - order.length} invalid custom order entries`);
+        }
+
+        const updatedAt = typeof data.updated_at === 'string' && !isNaN(Date.parse(data.updated_at))
+            ? data.updated_at
+            : null;
+
+        let bucketChanges = null;
+        if (data.bucket_changes && typeof data.bucket_changes === 'object' && !Array.isArray(data.bucket_changes)) {
+            bucketChanges = {};
+            Object.entries(data.bucket_changes).forEach(([s3Key, change]) => {
+                if (change && typeof change === 'object' && typeof change.to === 'string') {
+                    bucketChanges[s3Key] = change;
+                }
+            });
+        }
+
+        let dateCorrections = null;
+        if (data.date_corrections && typeof data.date_corrections === 'object' && !Array.isArray(data.date_corrections)) {
+            dateCorrections = {};
+            Object.entries(data.date_corrections).forEach(([s3Key, correction]) => {
+                if (correction && typeof correction === 'object' && typeof correction.bucket === 'string') {
+                    dateCorrections[s3Key] = correction;
+                }
+            });
+        }
+
+        return { order, updatedAt, bucketChanges, dateCorrections };
+    },
+
+    /**
+     * Make a custom order agree with the manifest, as far as that can be done without S3
+     * @param {Array} order - Validated custom order
+     * @param {Array|null} aiOrder - Manifest keys in AI order, or null if the manifest couldn't be read
+     * @returns {Array} The order to show; checkStored() finishes the repair
+     */
+    reconcile(order, aiOrder) {
+        const repairs = this.record();
+
+        // Repeated keys: the first position wins
+        const unique = Array.from(new Set(order));
+        repairs.duplicates = order.length - unique.length;
+        console.log(`[REPAIR] Custom order: ${repairs.duplicates} repeated`);
+
+        // Without the manifest there is nothing to check the keys against
+        if (!aiOrder) return unique;
+
+        const known = new Set(aiOrder);
+        const listed = new Set(unique);
+        this.unchecked = {
+            aiOrder: aiOrder,
+            notInManifest: unique.filter(key => !known.has(key)),
+            missing: aiOrder.filter(key => !listed.has(key))
+        };
+        return unique;
+    },
+
+    /**
+     * Check the keys reconcile() couldn't decide on and fix the gallery (called once it is shown)
+     */
+    async checkStored() {
+        const pending = this.unchecked;
+        this.unchecked = null;
+        if (!pending) return;
+
+        const { aiOrder, notInManifest, missing } = pending;
+        if (notInManifest.length === 0 && missing.length === 0) return;
+
+        const { stored, gone } = await this.checkKeys(notInManifest.concat(missing));
+        const repairs = this.record();
+
+        // Keys the manifest doesn't know and S3 doesn't have
+        const unknown = new Set(notInManifest.filter(key => gone.has(key)));
+        unknown.forEach(key => this.droppedKeys.add(key));
+        repairs.unknown = unknown.size;
+
+        // Manifest photos the order lost - a photo that is gone from S3 was deleted
+        const restore = new Set(missing.filter(key => stored.has(key)));
+        repairs.restored = restore.size;
+
+        console.log(`[REPAIR] Custom order: ${repairs.unknown} unknown, ${repairs.restored} restored`);
+        if (unknown.size === 0 && restore.size === 0) return;
+
+        // The customer may already have changed the order - repair what is there now
+        const repaired = photoOrder.filter(key => !unknown.has(key));
+        aiOrder.forEach((key, i) => {
+            if (!restore.has(key) || repaired.includes(key)) return;
+            repaired.splice(this.aiPosition(repaired, aiOrder, i), 0, key);
+        });
+        photoOrder = repaired;
+
+        // Same as before the check: the repaired order is saved with the customer's next change
+        onOrderChanged({ save: false });
+    },
+
+    /**
+     * Where a restored photo goes: after the photo that precedes it in the AI order
+     * (or before the one that follows it, at the start of the order)
+     */
+    aiPosition(order, aiOrder, aiIndex) {
+        for (let i = aiIndex - 1; i >= 0; i--) {
+            const index = order.indexOf(aiOrder[i]);
+            if (index > -1) return index + 1;
+        }
+        return 0;
+    },
+
+    /**
+     * Which of these keys S3 has and which it doesn't (HEAD, a few at a time) - keys
+     * that couldn't be checked are in neither set
+     */
+    async checkKeys(keys) {
+        const stored = new Set();
+        const gone = new Set();
+        for (let i = 0; i < keys.length; i += this.CHECK_CONCURRENCY) {
+            const batch = keys.slice(i, i + this.CHECK_CONCURRENCY);
+            const exists = await Promise.all(batch.map(key => DeleteQueue.checkObject(key)));
+            batch.forEach((key, j) => {
+                if (exists[j] === true) stored.add(key);
+                if (exists[j] === false) gone.add(key);
+            });
+        }
+        return { stored, gone };
+    },
+
+    /**
+     * The custom order couldn't be used - the AI order is shown instead
+     */
+    markUnreadable() {
+        this.record().unreadable = true;
+    },
+
+    record() {
+        if (!this.repairs) this.repairs = { unreadable: false, duplicates: 0, unknown: 0, restored: 0 };
+        return this.repairs;
+    },
+
+    /**
+     * Apply the load-time repairs to an order fetched later (e.g. QA's order in a conflict)
+     */
+    clean(order) {
+        return Array.from(new Set((order || []).filter(key =>
+            typeof key === 'string' && key.trim() !== '' && !this.droppedKeys.has(key))));
+    },
+
+    /**
+     * Tell the customer what was changed, if anything
+     */
+    showNotice() {
+        const repairs = this.repairs;
+        if (!repairs) return;
+
+        const lines = [];
+        if (repairs.unreadable) lines.push(I18n.t('repair.unreadable'));
+        if (repairs.restored) lines.push(I18n.t('repair.restored', { count: repairs.restored }));
+        if (repairs.unknown) lines.push(I18n.t('repair.unknown', { count: repairs.unknown }));
+        if (repairs.duplicates) lines.push(I18n.t('repair.duplicates', { count: repairs.duplicates }));
+        if (lines.length === 0) return;
+
+        Telemetry.track('order_repaired', repairs);
+
+        const notice = document.getElementById('repairNotice');
+        notice.querySelector('.repair-notice-list').innerHTML = lines.map(line => `<li>${escapeHtml(line)}</li>`).join('');
+        notice.style.display = 'flex';
+    },
+
+    dismiss() {
+        document.getElementById('repairNotice').style.display = 'none';
+    }
+};
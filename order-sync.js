@@ -0,0 +1,248 @@
+// Memorial Video AI - Order Autosave
+// Saves reorders and deletes back to metadata/{uid}/custom_order.json
+
+const OrderSync = {
+
+    DEBOUNCE_MS: 1500,
+    RETRY_MS: 10000,
+
+    uid: null,
+    baseOrder: [],          // order as last loaded from / saved to S3
+    baseUpdatedAt: null,    // updated_at of that order (null when coming from the manifest)
+    dirty: false,
+    saving: false,
+    saveTimer: null,
+    pendingConflict: null,
+
+    /**
+     * Start tracking changes for an order
+     * @param {string} uid - Order UID
+     * @param {Array} order - Initial array of S3 keys
+     * @param {string|null} updatedAt - updated_at read by loadCustomOrder()
+     */
+    init(uid, order, updatedAt) {
+        this.uid = uid;
+        this.baseOrder = order.slice();
+        this.baseUpdatedAt = updatedAt || null;
+
+        if (!SAVE_ORDER_LAMBDA_URL) {
+            // Autosave is off for this brand - say so up front, not only after the first change
+            console.warn('[AUTOSAVE] No save endpoint configured (storage.save_order_lambda_url in brands.json) - changes will not be saved');
+            Telemetry.track('feature_off', { feature: 'autosave' });
+            if (LinkAccess.can('reorder')) this.setStatus('unsaved');
+            return;
+        }
+
+        window.addEventListener('online', () => {
+            console.log('[AUTOSAVE] Back online');
+            if (this.dirty) this.save();
+        });
+        window.addEventListener('offline', () => {
+            if (this.dirty) this.setStatus('offline');
+        });
+        window.addEventListener('beforeunload', (e) => {
+            if (this.dirty || this.saving) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+
+        this.setStatus('saved');
+    },
+
+    /**
+     * Mark the order as changed and save after a short pause
+     */
+    scheduleSave() {
+        // Say so instead of silently dropping the change
+        if (!SAVE_ORDER_LAMBDA_URL) {
+            if (LinkAccess.can('reorder')) this.setStatus('unsaved');
+            return;
+        }
+
+        this.dirty = true;
+        this.setStatus(navigator.onLine ? 'saving' : 'offline');
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.DEBOUNCE_MS);
+    },
+
+    /**
+     * Save the current photoOrder, checking first that QA hasn't changed it
+     */
+    async save() {
+        clearTimeout(this.saveTimer);
+
+        if (!this.dirty || this.pendingConflict) return;
+
+        // photoOrder is only a preview while a photo is picked up - saved once it is let go
+        if (GalleryKeyboard.grab) return;
+
+        if (this.saving) {
+            // Another save is in flight - it will re-run once it finishes
+            return;
+        }
+
+        if (!navigator.onLine) {
+            this.setStatus('offline');
+            return;
+        }
+
+        this.saving = true;
+        this.dirty = false;
+        this.setStatus('saving');
+
+        const order = photoOrder.slice();
+
+        try {
+            const remote = await this.fetchRemoteOrder();
+            if (this.updatedAt(remote) !== this.baseUpdatedAt) {
+                this.dirty = true;
+                this.handleConflict(remote);
+                return;
+            }
+
+            const updatedAt = new Date().toISOString();
+            const response = await fetch(SAVE_ORDER_LAMBDA_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    uid: this.uid,
+                    order: order,
+                    bucket_changes: getBucketChanges(),
+                    date_corrections: PhotoDating.payload(),
+                    updated_at: updatedAt,
+                    base_updated_at: this.baseUpdatedAt,
+                    ...LinkAccess.requestFields()
+                })
+            });
+
+            if (response.status === 409) {
+                this.dirty = true;
+                this.handleConflict(await this.fetchRemoteOrder());
+                return;
+            }
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server error: ${response.status}`);
+            }
+
+            const result = await response.json().catch(() => ({}));
+
+            this.baseOrder = order;
+            this.baseUpdatedAt = result.updated_at || updatedAt;
+            console.log(`[AUTOSAVE] Saved ${order.length} photos (${this.baseUpdatedAt})`);
+
+        } catch (error) {
+            console.error('[AUTOSAVE ERROR]', error);
+            Telemetry.error('autosave_failed', error, { photos: order.length });
+            this.dirty = true;
+            this.setStatus('offline');
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.save(), this.RETRY_MS);
+            return;
+        } finally {
+            this.saving = false;
+        }
+
+        // Changes made while the request was in flight
+        if (this.dirty) {
+            this.save();
+        } else {
+            this.setStatus('saved');
+        }
+    },
+
+    /**
+     * Fetch the stored custom_order.json, bypassing the browser cache
+     * @returns {Object|null} Parsed custom order, or null if none exists
+     */
+    async fetchRemoteOrder() {
+        const url = `${S3_BASE_URL}/metadata/${this.uid}/custom_order.json`;
+        const response = await fetch(url, { cache: 'no-store' });
+
+        if (response.status === 403 || response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Failed to check custom order: ${response.status}`);
+        }
+        return response.json();
+    },
+
+    /**
+     * updated_at of a fetched custom order, read the way loadCustomOrder() reads it
+     * (missing or invalid -> null), so the two can be compared
+     */
+    updatedAt(remote) {
+        const data = remote ? OrderRepair.validateCustomOrder(remote) : null;
+        return data ? data.updatedAt : null;
+    },
+
+    /**
+     * The stored order was changed by QA since we loaded it
+     */
+    handleConflict(remote) {
+        console.log(`[AUTOSAVE] Conflict: order was updated at ${remote && remote.updated_at}`);
+        this.pendingConflict = remote;
+        this.setStatus('conflict');
+        document.getElementById('orderConflictModal').classList.add('active');
+    },
+
+    /**
+     * Resolve a conflict: 'merge' keeps the customer's arrangement, 'reload' takes QA's order
+     */
+    resolveConflict(choice) {
+        const remote = this.pendingConflict;
+        document.getElementById('orderConflictModal').classList.remove('active');
+
+        if (choice === 'reload') {
+            this.dirty = false;
+            window.location.reload();
+            return;
+        }
+
+        const remoteOrder = OrderRepair.clean(remote && remote.order);
+        const merged = this.mergeOrders(this.baseOrder, photoOrder, remoteOrder);
+        console.log(`[AUTOSAVE] Merged QA changes: ${photoOrder.length} -> ${merged.length} photos`);
+
+        this.pendingConflict = null;
+        this.baseOrder = remoteOrder.slice();
+        this.baseUpdatedAt = this.updatedAt(remote);
+
+        applyMergedOrder(merged);
+        this.scheduleSave();
+    },
+
+    /**
+     * Three-way merge of photo orders
+     * Keeps the local arrangement, drops photos QA removed and inserts photos QA added
+     * after the nearest photo before them in QA's order that is still in the merged order
+     */
+    mergeOrders(base, local, remote) {
+        const baseSet = new Set(base);
+        const remoteSet = new Set(remote);
+
+        const merged = local.filter(key => remoteSet.has(key) || !baseSet.has(key));
+
+        remote.forEach((key, i) => {
+            if (baseSet.has(key) || merged.includes(key)) return;
+            merged.splice(OrderRepair.aiPosition(merged, remote, i), 0, key);
+        });
+
+        return merged;
+    },
+
+    /**
+     * Update the Saved / Saving / Offline indicator
+     */
+    setStatus(status) {
+        const el = document.getElementById('saveStatus');
+        if (!el) return;
+
+        el.dataset.status = status;
+        el.querySelector('.save-status-text').textContent = status ? I18n.t(`save.${status}`) : '';
+        el.style.display = 'inline-flex';
+    }
+};
@@ -0,0 +1,250 @@
+// Memorial Video AI - Manual Dating
+// When the AI gets a photo's age wrong, the customer can enter the year it was taken
+// (or the age in it). The age is worked out from the birthdate in the presentation
+// settings, the photo moves into the matching age section, and the correction is
+// saved with the order as date_corrections - the page's version of the "x" marker
+// the pipeline puts in filenames when an EXIF date was overridden:
+//   { [s3Key]: { year, age, bucket, original_bucket, updated_at } }
+
+const PhotoDating = {
+
+    MAX_AGE: 120,
+
+    birthdate: null,        // Date, or null when the order has none
+    corrections: new Map(), // s3Key -> { year, age, bucket, updated_at }
+    editingKey: null,
+
+    /**
+     * Load the birthdate and any corrections saved with the custom order
+     * @param {string} uid - Order UID
+     * @param {Object} saved - date_corrections read by loadCustomOrder()
+     */
+    async init(uid, saved) {
+        Object.entries(saved || {}).forEach(([s3Key, correction]) => {
+            if (!photoOrder.includes(s3Key) || !correction.bucket) return;
+            this.set(s3Key, correction);
+            setBucketOverride(s3Key, correction.bucket);
+        });
+        if (this.corrections.size) {
+            console.log(`[DATING] Restored ${this.corrections.size} manual dates`);
+            syncGalleryToOrder();
+            updateDisplayNumbers();
+        }
+
+        const settings = await AnalyticsDisplay.fetchPresentationSettings(uid);
+        if (settings.birthdate) {
+            const birthdate = new Date(settings.birthdate);
+            if (!isNaN(birthdate)) this.birthdate = birthdate;
+        }
+        console.log(`[DATING] Birthdate ${this.birthdate ? 'loaded' : 'not set, ages only'}`);
+
+        // Years on the timeline come from the birthdate
+        Timeline.refresh();
+    },
+
+    /**
+     * Record (or with null, clear) a photo's manual date and update its marker
+     */
+    set(s3Key, correction) {
+        if (correction) {
+            this.corrections.set(s3Key, correction);
+        } else {
+            this.corrections.delete(s3Key);
+        }
+
+        const tile = photoTiles.get(s3Key);
+        if (tile) this.decorate(tile);
+        if (PhotoDetails.s3Key === s3Key) PhotoDetails.render();
+    },
+
+    /**
+     * Age in a given year - the age reached on that year's birthday
+     */
+    ageInYear(year) {
+        return year - this.birthdate.getFullYear();
+    },
+
+    /**
+     * Age section for an age: the first existing section that covers it, or a
+     * single-year section ("07-07") when none does
+     */
+    bucketForAge(age) {
+        const buckets = new Set(photoOrder.map(key => getPhotoBucket(key)).filter(Boolean));
+        const covering = Array.from(buckets)
+            .map(bucket => ({ bucket, range: bucket.split('-').map(n => parseInt(n, 10)) }))
+            .filter(({ range }) => range[0] <= age && age <= range[1])
+            .sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1]);
+
+        if (covering.length) return covering[0].bucket;
+        const pad = String(age).padStart(2, '0');
+        return `${pad}-${pad}`;
+    },
+
+    /**
+     * Where a photo of this age goes: the end of its section, or before the first
+     * section of older photos when the section is empty
+     */
+    targetIndex(s3Key, bucket) {
+        const remaining = photoOrder.filter(key => key !== s3Key);
+        const minAge = parseInt(bucket.split('-')[0], 10);
+
+        for (let i = remaining.length - 1; i >= 0; i--) {
+            if (getPhotoBucket(remaining[i]) === bucket) return i + 1;
+        }
+        const older = remaining.findIndex(key => {
+            const other = getPhotoBucket(key);
+            return other && parseInt(other.split('-')[0], 10) > minAge;
+        });
+        return older === -1 ? remaining.length : older;
+    },
+
+    /**
+     * Date a photo by year or age and move it into the right section
+     * @param {string} s3Key - Photo to correct
+     * @param {Object} value - { year } or { age }
+     */
+    apply(s3Key, value) {
+        const year = value.year !== undefined ? value.year : null;
+        const age = year !== null ? this.ageInYear(year) : value.age;
+        const bucket = this.bucketForAge(age);
+
+        const command = OrderHistory.moveCommand([s3Key], this.targetIndex(s3Key, bucket), bucket);
+        command.dateCorrections = [{
+            key: s3Key,
+            from: this.corrections.get(s3Key) || null,
+            to: { year: year, age: age, bucket: bucket, updated_at: new Date().toISOString() }
+        }];
+
+        console.log(`[DATING] ${s3Key}: ${year !== null ? `year ${year}, ` : ''}age ${age} -> ${bucket}`);
+        OrderHistory.execute(command);
+    },
+
+    /**
+     * Drop the manual date: back to the AI's section
+     */
+    clear(s3Key) {
+        const original = parseFinalFilename(s3Key).bucket;
+        const toIndex = original ? this.targetIndex(s3Key, original) : photoOrder.indexOf(s3Key);
+
+        const command = OrderHistory.moveCommand([s3Key], toIndex, null);
+        command.dateCorrections = [{ key: s3Key, from: this.corrections.get(s3Key) || null, to: null }];
+
+        console.log(`[DATING] Cleared manual date for ${s3Key}`);
+        OrderHistory.execute(command);
+    },
+
+    /**
+     * date_corrections for the saved order
+     */
+    payload() {
+        const corrections = {};
+        this.corrections.forEach((correction, s3Key) => {
+            corrections[s3Key] = { ...correction, original_bucket: parseFinalFilename(s3Key).bucket };
+        });
+        return corrections;
+    },
+
+    label(correction) {
+        return correction.year !== null ? String(correction.year) : I18n.t('sections.age', { age: correction.age });
+    },
+
+    /**
+     * Tile button: hidden until hover, always shown (with the date) once set
+     */
+    decorate(tile) {
+        const correction = this.corrections.get(tile.dataset.s3Key);
+        const btn = tile.querySelector('.date-btn');
+
+        tile.classList.toggle('manually-dated', !!correction);
+        btn.textContent = correction ? `📅 ${this.label(correction)}` : '📅';
+        btn.title = I18n.t(correction ? 'dating.change_title' : 'tile.date');
+    },
+
+    // === DIALOG ===
+
+    open(s3Key) {
+        if (!LinkAccess.allow('reorder')) return;
+
+        this.editingKey = s3Key;
+        const correction = this.corrections.get(s3Key);
+        const modal = document.getElementById('dateCorrectionModal');
+        const yearInput = document.getElementById('dateCorrectionYear');
+        const ageInput = document.getElementById('dateCorrectionAge');
+
+        yearInput.disabled = !this.birthdate;
+        yearInput.placeholder = this.birthdate
+            ? I18n.t('dating.year_example', { year: String(this.birthdate.getFullYear() + 10) })
+            : I18n.t('dating.no_birthdate');
+        yearInput.value = correction && correction.year !== null ? correction.year : '';
+        ageInput.value = correction && correction.year === null ? correction.age : '';
+        document.getElementById('dateCorrectionClear').style.display = correction ? '' : 'none';
+
+        this.preview();
+        modal.classList.add('active');
+        trapModalFocus(modal, () => this.close());
+        (this.birthdate ? yearInput : ageInput).focus();
+    },
+
+    close() {
+        const modal = document.getElementById('dateCorrectionModal');
+        modal.classList.remove('active');
+        releaseModalFocus(modal);
+        this.editingKey = null;
+    },
+
+    /**
+     * Read the dialog: a year wins over an age
+     * @returns {Object} { value } when valid, { error } otherwise
+     */
+    readInput() {
+        const yearText = document.getElementById('dateCorrectionYear').value.trim();
+        const ageText = document.getElementById('dateCorrectionAge').value.trim();
+
+        if (yearText && this.birthdate) {
+            const year = parseInt(yearText, 10);
+            const first = this.birthdate.getFullYear();
+            const last = new Date().getFullYear();
+            if (!/^\d{4}$/.test(yearText) || year < first || year > last) {
+                return { error: I18n.t('dating.year_range', { first: String(first), last: String(last) }) };
+            }
+            return { value: { year } };
+        }
+        if (ageText) {
+            const age = parseInt(ageText, 10);
+            if (!/^\d+$/.test(ageText) || age > this.MAX_AGE) {
+                return { error: I18n.t('dating.age_range', { max: this.MAX_AGE }) };
+            }
+            return { value: { age } };
+        }
+        return { error: I18n.t(this.birthdate ? 'dating.enter_year_or_age' : 'dating.enter_age') };
+    },
+
+    preview() {
+        const { value, error } = this.readInput();
+        const el = document.getElementById('dateCorrectionPreview');
+        const age = value ? (value.year !== undefined ? this.ageInYear(value.year) : value.age) : null;
+
+        el.textContent = value
+            ? I18n.t('dating.moves_to', { label: GallerySections.label(this.bucketForAge(age)) })
+            : error;
+        el.classList.toggle('error', !value && !!(document.getElementById('dateCorrectionYear').value || document.getElementById('dateCorrectionAge').value));
+        document.getElementById('dateCorrectionSave').disabled = !value;
+    },
+
+    save() {
+        const { value } = this.readInput();
+        const s3Key = this.editingKey;
+        if (!value || !s3Key) return;
+
+        this.close();
+        this.apply(s3Key, value);
+    },
+
+    clearEditing() {
+        const s3Key = this.editingKey;
+        if (!s3Key) return;
+
+        this.close();
+        this.clear(s3Key);
+    }
+};
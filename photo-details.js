@@ -0,0 +1,161 @@
+// Memorial Video AI - Photo Details Panel
+// Explains why a photo landed where it did: original name, age bucket, dating method
+
+const PhotoDetails = {
+
+    s3Key: null,
+    faceData: null,   // per-photo face info from pre_merge_data.json, keyed by filename
+
+    /**
+     * Open the panel when a tile is clicked
+     */
+    init() {
+        document.getElementById('photoGallery').addEventListener('click', (e) => {
+            if (e.target.closest('button')) return;
+            const tile = e.target.closest('.photo-item');
+            if (tile) this.open(tile.dataset.s3Key);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.s3Key) this.close();
+        });
+    },
+
+    async open(s3Key) {
+        this.s3Key = s3Key;
+
+        photoTiles.forEach((tile, key) => tile.classList.toggle('details-open', key === s3Key));
+
+        this.render();
+        document.getElementById('photoDetailsPanel').classList.add('active');
+
+        // Face info is optional - fill it in once pre_merge_data.json arrives
+        if (!this.faceData) {
+            this.faceData = await this.loadFaceData();
+            if (this.s3Key === s3Key) this.render();
+        }
+    },
+
+    close() {
+        const tile = photoTiles.get(this.s3Key);
+        if (tile) tile.classList.remove('details-open');
+
+        this.s3Key = null;
+        document.getElementById('photoDetailsPanel').classList.remove('active');
+    },
+
+    /**
+     * Re-render after the order changes (position, section) or close if the photo was deleted
+     */
+    refresh() {
+        if (!this.s3Key) return;
+        if (photoOrder.includes(this.s3Key)) {
+            this.render();
+        } else {
+            this.close();
+        }
+    },
+
+    /**
+     * Index per-photo face records from pre_merge_data.json, if the file has them
+     * @returns {Map} filename (original or final) -> record
+     */
+    async loadFaceData() {
+        const faceData = new Map();
+        const data = await AnalyticsDisplay.fetchPreMergeData(uid);
+        const photos = data && (data.photos || data.photo_data);
+        if (!photos) return faceData;
+
+        const records = Array.isArray(photos)
+            ? photos
+            : Object.keys(photos).map(key => ({ filename: key, ...photos[key] }));
+
+        records.forEach(record => {
+            [record.filename, record.original_filename, record.s3_key, record.final_key]
+                .filter(Boolean)
+                .forEach(name => faceData.set(name.split('/').pop(), record));
+        });
+
+        console.log(`[DETAILS] Loaded face data for ${records.length} photos`);
+        return faceData;
+    },
+
+    /**
+     * Face count and clusters, from the manifest entry or pre_merge_data.json
+     */
+    faceInfo(s3Key, info) {
+        const manifestEntry = manifestEntries.get(s3Key) || {};
+        const record = (this.faceData &&
+            (this.faceData.get(s3Key.split('/').pop()) || this.faceData.get(info.originalFilename))) || {};
+
+        const faces = manifestEntry.face_count ?? record.face_count ??
+            (Array.isArray(record.faces) ? record.faces.length : null);
+        const clusters = manifestEntry.cluster_ids || record.cluster_ids ||
+            (record.cluster_id !== undefined ? [record.cluster_id] : null);
+        const estimatedAge = manifestEntry.estimated_age ?? record.estimated_age ?? null;
+
+        return { faces, clusters, estimatedAge };
+    },
+
+    dateSource(info) {
+        if (!info.method) return I18n.t('details.source_unknown');
+        if (info.method === 'EX') {
+            return I18n.t(info.exifOverride ? 'details.source_exif_overridden' : 'details.source_exif');
+        }
+        return I18n.t(info.exifOverride ? 'details.source_ai_overridden' : 'details.source_ai', { method: info.method });
+    },
+
+    render() {
+        const s3Key = this.s3Key;
+        const info = parseFinalFilename(s3Key);
+        const bucket = getPhotoBucket(s3Key);
+        const faces = this.faceInfo(s3Key, info);
+        const position = photoOrder.indexOf(s3Key);
+
+        const rows = [
+            [I18n.t('details.position'), I18n.t('details.position_value', { number: position + 1, total: photoOrder.length })],
+            [I18n.t('details.original_filename'), info.originalFilename || '—'],
+            [I18n.t('details.age_range'), bucket ? GallerySections.label(bucket) : I18n.t('details.not_set')],
+            [I18n.t('details.rank'), info.rank !== null ? info.rank : '—'],
+            [I18n.t('details.dated_by'), this.dateSource(info)]
+        ];
+
+        if (PhotoDating.corrections.has(s3Key)) {
+            const correction = PhotoDating.corrections.get(s3Key);
+            rows.push([I18n.t('details.dated_by_you'), correction.year !== null
+                ? I18n.t('details.year_age', { year: String(correction.year), age: correction.age })
+                : I18n.t('sections.age', { age: correction.age })]);
+        }
+        if (bucketOverrides.has(s3Key)) {
+            rows.push([I18n.t('details.original_range'), GallerySections.label(info.bucket)]);
+        }
+        if (faces.estimatedAge !== null) {
+            rows.push([I18n.t('details.estimated_age'), faces.estimatedAge]);
+        }
+        if (faces.faces !== null && faces.faces !== undefined) {
+            rows.push([I18n.t('details.faces'), faces.faces]);
+        }
+        if (faces.clusters && faces.clusters.length) {
+            rows.push([I18n.t('details.face_groups'), faces.clusters.join(', ')]);
+        }
+
+        const panel = document.getElementById('photoDetailsPanel');
+        const image = panel.querySelector('.details-image');
+        if (image.dataset.s3Key !== s3Key) {
+            // Thumbnail at panel width; the lightbox has the full-size original
+            image.dataset.s3Key = s3Key;
+            image.srcset = thumbnailSrcset(s3Key);
+            image.sizes = '340px';
+            image.src = thumbnailUrl(s3Key, THUMBNAIL_WIDTHS[THUMBNAIL_WIDTHS.length - 1]);
+        }
+        panel.querySelector('.details-list').innerHTML = rows.map(([label, value]) => `
+            <dt>${escapeHtml(label)}</dt>
+            <dd>${escapeHtml(value)}</dd>
+        `).join('') + `
+            <dt>${escapeHtml(I18n.t('details.location'))}</dt>
+            <dd class="details-key">${escapeHtml(s3Key)}</dd>
+        `;
+
+        PhotoNotes.render(s3Key);
+    }
+};
@@ -0,0 +1,285 @@
+// Memorial Video AI - Comments and Flags
+// Family reviewers can comment on a photo or flag it as needing attention. Notes are
+// keyed by S3 key, so they follow the photo when it is moved, and are stored in
+// metadata/{uid}/photo_notes.json next to custom_order.json for QA:
+//   { updated_at, notes: { [s3Key]: { flagged, flag_updated_at, comments: [{ id, author, text, created_at }] } } }
+
+const PhotoNotes = {
+
+    DEBOUNCE_MS: 1000,
+    NAME_KEY: 'reviewerName',
+
+    uid: null,
+    notes: {},
+    saveTimer: null,
+
+    async init(uid) {
+        this.uid = uid;
+
+        if (!SAVE_NOTES_LAMBDA_URL) {
+            // Shared comments are off for this brand - the details panel says so too
+            console.warn('[NOTES] No save endpoint configured (storage.save_notes_lambda_url in brands.json) - comments stay in this browser');
+            Telemetry.track('feature_off', { feature: 'shared_notes' });
+        }
+
+        // Unsent notes from this browser, then whatever is stored for the order
+        const local = this.loadLocal();
+        let remote = {};
+        try {
+            remote = await this.fetchRemote();
+        } catch (error) {
+            console.log('[NOTES] Could not load photo notes:', error.message);
+        }
+        this.notes = this.merge(remote, local);
+
+        const count = Object.keys(this.notes).length;
+        if (count) console.log(`[NOTES] Loaded notes for ${count} photos`);
+
+        this.decorateAll();
+        this.updateFilterButton();
+    },
+
+    loadLocal() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey())) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    storageKey() {
+        return `photoNotes:${this.uid}`;
+    },
+
+    async fetchRemote() {
+        const response = await fetch(`${S3_BASE_URL}/metadata/${this.uid}/photo_notes.json`, { cache: 'no-store' });
+        if (response.status === 403 || response.status === 404) return {};
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return (await response.json()).notes || {};
+    },
+
+    /**
+     * Combine two copies of the notes: comments are unioned by id, the newer flag wins.
+     * Both copies may come from storage, so malformed notes and comments are dropped.
+     */
+    merge(a, b) {
+        a = this.isObject(a) ? a : {};
+        b = this.isObject(b) ? b : {};
+
+        const merged = {};
+        new Set([...Object.keys(a), ...Object.keys(b)]).forEach(s3Key => {
+            const x = this.isObject(a[s3Key]) ? a[s3Key] : { comments: [] };
+            const y = this.isObject(b[s3Key]) ? b[s3Key] : { comments: [] };
+
+            const comments = new Map();
+            [...(Array.isArray(x.comments) ? x.comments : []), ...(Array.isArray(y.comments) ? y.comments : [])]
+                .filter(comment => this.isValidComment(comment))
+                .forEach(comment => comments.set(comment.id, comment));
+
+            const flagSource = (y.flag_updated_at || '') > (x.flag_updated_at || '') ? y : x;
+            merged[s3Key] = {
+                flagged: !!flagSource.flagged,
+                flag_updated_at: flagSource.flag_updated_at || null,
+                comments: Array.from(comments.values()).sort((c1, c2) => c1.created_at.localeCompare(c2.created_at))
+            };
+        });
+        return merged;
+    },
+
+    isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    isValidComment(comment) {
+        return this.isObject(comment) &&
+            typeof comment.id === 'string' &&
+            typeof comment.text === 'string' &&
+            typeof comment.created_at === 'string' && !isNaN(Date.parse(comment.created_at));
+    },
+
+    get(s3Key) {
+        return this.notes[s3Key] || { flagged: false, flag_updated_at: null, comments: [] };
+    },
+
+    isFlagged(s3Key) {
+        return this.get(s3Key).flagged;
+    },
+
+    addComment(s3Key, text) {
+        text = text.trim();
+        if (!text || !LinkAccess.allow('comment')) return;
+
+        const note = this.get(s3Key);
+        note.comments.push({
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            author: this.reviewerName(),
+            text: text,
+            created_at: new Date().toISOString()
+        });
+        this.notes[s3Key] = note;
+
+        console.log(`[NOTES] Comment added to ${s3Key}`);
+        this.changed(s3Key);
+    },
+
+    toggleFlag(s3Key) {
+        if (!LinkAccess.allow('comment')) return;
+
+        const note = this.get(s3Key);
+        note.flagged = !note.flagged;
+        note.flag_updated_at = new Date().toISOString();
+        this.notes[s3Key] = note;
+
+        console.log(`[NOTES] ${note.flagged ? 'Flagged' : 'Unflagged'} ${s3Key}`);
+        this.changed(s3Key);
+    },
+
+    changed(s3Key) {
+        localStorage.setItem(this.storageKey(), JSON.stringify(this.notes));
+
+        const tile = photoTiles.get(s3Key);
+        if (tile) this.decorate(tile);
+        if (PhotoDetails.s3Key === s3Key) this.render(s3Key);
+
+        // Flagged-only view: an unflagged photo drops out, and the view ends with the last one
+        if (galleryFilter === this.flaggedFilter) {
+            setGalleryFilter(photoOrder.some(key => this.isFlagged(key)) ? this.flaggedFilter : null);
+        }
+        this.updateFilterButton();
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.DEBOUNCE_MS);
+    },
+
+    /**
+     * Write the notes, merged with anything other reviewers saved meanwhile
+     */
+    async save() {
+        if (!SAVE_NOTES_LAMBDA_URL) {
+            console.log('[NOTES] No save endpoint configured, notes kept in this browser');
+            return;
+        }
+
+        try {
+            this.notes = this.merge(await this.fetchRemote(), this.notes);
+
+            const response = await fetch(SAVE_NOTES_LAMBDA_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    uid: this.uid,
+                    notes: this.notes,
+                    updated_at: new Date().toISOString(),
+                    ...LinkAccess.requestFields()
+                })
+            });
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+
+            localStorage.removeItem(this.storageKey());
+            this.decorateAll();
+            console.log('[NOTES] Saved');
+        } catch (error) {
+            // Still in localStorage - sent with the next change or reload
+            console.error('[NOTES ERROR] Failed to save notes:', error);
+        }
+    },
+
+    reviewerName() {
+        const input = document.getElementById('notesAuthor');
+        const name = (input && input.value.trim()) || localStorage.getItem(this.NAME_KEY) || I18n.t('notes.family_member');
+        localStorage.setItem(this.NAME_KEY, name);
+        return name;
+    },
+
+    /**
+     * Badge on a gallery tile: flag and comment count
+     */
+    decorate(tile) {
+        const note = this.get(tile.dataset.s3Key);
+        const count = note.comments.length;
+        let badge = tile.querySelector('.note-badge');
+
+        tile.classList.toggle('flagged', note.flagged);
+        if (!note.flagged && count === 0) {
+            if (badge) badge.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('button');
+            badge.type = 'button';
+            badge.className = 'note-badge';
+            badge.tabIndex = -1;
+            badge.onclick = () => PhotoDetails.open(tile.dataset.s3Key);
+            tile.appendChild(badge);
+        }
+        badge.textContent = `${note.flagged ? '🚩' : ''}${count ? ` 💬 ${count}` : ''}`.trim();
+        const comments = I18n.t('notes.comment_count', { count });
+        badge.setAttribute('aria-label', note.flagged ? `${I18n.t('notes.needs_attention')}. ${comments}` : comments);
+    },
+
+    decorateAll() {
+        photoTiles.forEach(tile => this.decorate(tile));
+    },
+
+    flaggedFilter: (s3Key) => PhotoNotes.isFlagged(s3Key),
+
+    toggleFlaggedFilter() {
+        const on = galleryFilter !== this.flaggedFilter;
+        setGalleryFilter(on ? this.flaggedFilter : null);
+        this.updateFilterButton();
+        BrokenPhotos.update();
+    },
+
+    updateFilterButton() {
+        const flagged = photoOrder.filter(key => this.isFlagged(key)).length;
+        const btn = document.getElementById('flaggedFilterBtn');
+        btn.textContent = `🚩 ${I18n.t('notes.flagged_only', { count: flagged })}`;
+        btn.setAttribute('aria-pressed', galleryFilter === this.flaggedFilter ? 'true' : 'false');
+        btn.disabled = flagged === 0 && galleryFilter !== this.flaggedFilter;
+    },
+
+    /**
+     * Comments section of the details panel
+     */
+    render(s3Key) {
+        const note = this.get(s3Key);
+        const container = document.getElementById('photoNotes');
+        const canComment = LinkAccess.can('comment');
+
+        container.innerHTML = `
+            <div class="notes-header">
+                <h4>${escapeHtml(I18n.t('notes.title'))}</h4>
+                ${canComment ? `
+                    <button type="button" class="toolbar-btn notes-flag-btn" aria-pressed="${note.flagged}">
+                        ${note.flagged ? `🚩 ${escapeHtml(I18n.t('notes.needs_attention'))}` : escapeHtml(I18n.t('notes.flag'))}
+                    </button>` : (note.flagged ? `<span class="notes-flagged">🚩 ${escapeHtml(I18n.t('notes.needs_attention'))}</span>` : '')}
+            </div>
+            <ul class="notes-list">
+                ${note.comments.map(comment => `
+                    <li>
+                        <div class="notes-meta">${escapeHtml(comment.author || I18n.t('notes.family_member'))} · ${escapeHtml(I18n.formatDate(comment.created_at))}</div>
+                        <div class="notes-text">${escapeHtml(comment.text)}</div>
+                    </li>
+                `).join('') || `<li class="notes-empty">${escapeHtml(I18n.t('notes.empty'))}</li>`}
+            </ul>
+            ${canComment ? `
+                <form class="notes-form">
+                    <input type="text" id="notesAuthor" placeholder="${escapeHtml(I18n.t('notes.name_placeholder'))}" value="${escapeHtml(localStorage.getItem(this.NAME_KEY) || '')}">
+                    <textarea id="notesText" rows="3" placeholder="${escapeHtml(I18n.t('notes.text_placeholder'))}"></textarea>
+                    <button type="submit" class="toolbar-btn">${escapeHtml(I18n.t('notes.add'))}</button>
+                    ${SAVE_NOTES_LAMBDA_URL ? '' : `<p class="notes-local">${escapeHtml(I18n.t('notes.local_only'))}</p>`}
+                </form>` : ''}
+        `;
+
+        if (!canComment) return;
+
+        container.querySelector('.notes-flag-btn').addEventListener('click', () => this.toggleFlag(s3Key));
+        container.querySelector('.notes-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addComment(s3Key, document.getElementById('notesText').value);
+        });
+    }
+};
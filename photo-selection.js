@@ -0,0 +1,239 @@
+// Memorial Video AI - Multi-Select
+// Ctrl/Cmd-click, Shift-click and lasso selection with bulk move and delete
+
+const PhotoSelection = {
+
+    LASSO_THRESHOLD: 5,   // px the pointer must travel before a lasso starts
+
+    selected: new Set(),
+    anchorKey: null,      // last plain/ctrl-clicked photo, start of Shift-click ranges
+    lasso: null,
+
+    init() {
+        const gallery = document.getElementById('photoGallery');
+
+        // Capture phase so modifier clicks never reach the details panel
+        gallery.addEventListener('click', (e) => {
+            if (e.target.closest('button')) return;
+            const tile = e.target.closest('.photo-item');
+            if (!tile) return;
+
+            const s3Key = tile.dataset.s3Key;
+            if (e.shiftKey && this.anchorKey) {
+                e.stopPropagation();
+                this.selectRange(this.anchorKey, s3Key, e.ctrlKey || e.metaKey);
+            } else if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                e.stopPropagation();
+                this.toggle(s3Key);
+                this.anchorKey = s3Key;
+            } else {
+                this.clear();
+                this.anchorKey = s3Key;
+            }
+        }, true);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.target.closest && e.target.closest('input, textarea, select')) return;
+            if (Lightbox.s3Key || document.querySelector('.custom-modal-overlay.active')) return;
+
+            if (e.key === 'Escape' && this.selected.size) {
+                this.clear();
+            } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+                e.preventDefault();
+                this.set(photoOrder);
+            } else if (e.key === 'Delete' && this.selected.size) {
+                e.preventDefault();
+                this.deleteSelected();
+            }
+        });
+
+        document.getElementById('selectionMoveTo').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.moveToInput();
+        });
+
+        this.initLasso(document.querySelector('.gallery-container'));
+    },
+
+    /**
+     * Drag on empty gallery space to draw a selection rectangle
+     */
+    initLasso(container) {
+        container.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || e.target.closest('.photo-item, button, input, .gallery-toolbar, .age-section-header')) return;
+
+            this.lasso = {
+                startX: e.clientX,
+                startY: e.clientY,
+                additive: e.ctrlKey || e.metaKey || e.shiftKey,
+                initial: new Set(this.selected),
+                box: null
+            };
+        });
+
+        document.addEventListener('pointermove', (e) => {
+            const lasso = this.lasso;
+            if (!lasso) return;
+
+            if (!lasso.box) {
+                if (Math.abs(e.clientX - lasso.startX) + Math.abs(e.clientY - lasso.startY) < this.LASSO_THRESHOLD) return;
+                lasso.box = document.createElement('div');
+                lasso.box.className = 'selection-lasso';
+                document.body.appendChild(lasso.box);
+                document.body.classList.add('lasso-active');
+            }
+
+            const left = Math.min(lasso.startX, e.clientX);
+            const top = Math.min(lasso.startY, e.clientY);
+            const right = Math.max(lasso.startX, e.clientX);
+            const bottom = Math.max(lasso.startY, e.clientY);
+
+            Object.assign(lasso.box.style, {
+                left: `${left}px`,
+                top: `${top}px`,
+                width: `${right - left}px`,
+                height: `${bottom - top}px`
+            });
+
+            const hits = new Set(lasso.additive ? lasso.initial : []);
+            document.querySelectorAll('#photoGallery .photo-item').forEach(tile => {
+                const rect = tile.getBoundingClientRect();
+                if (rect.right > left && rect.left < right && rect.bottom > top && rect.top < bottom) {
+                    hits.add(tile.dataset.s3Key);
+                }
+            });
+            this.set(Array.from(hits));
+        });
+
+        document.addEventListener('pointerup', () => {
+            if (!this.lasso) return;
+            if (this.lasso.box) {
+                this.lasso.box.remove();
+                document.body.classList.remove('lasso-active');
+            }
+            this.lasso = null;
+        });
+    },
+
+    toggle(s3Key) {
+        if (this.selected.has(s3Key)) {
+            this.selected.delete(s3Key);
+        } else {
+            this.selected.add(s3Key);
+        }
+        this.update();
+    },
+
+    selectRange(fromKey, toKey, additive) {
+        const from = photoOrder.indexOf(fromKey);
+        const to = photoOrder.indexOf(toKey);
+        if (from === -1 || to === -1) return;
+
+        const range = photoOrder.slice(Math.min(from, to), Math.max(from, to) + 1);
+        this.set(additive ? [...this.selected, ...range] : range);
+    },
+
+    set(keys) {
+        this.selected = new Set(keys);
+        this.update();
+    },
+
+    clear() {
+        if (this.selected.size === 0) return;
+        this.selected.clear();
+        this.update();
+    },
+
+    /**
+     * Selected keys in gallery order
+     */
+    keys() {
+        return photoOrder.filter(key => this.selected.has(key));
+    },
+
+    /**
+     * Called from onOrderChanged(): drop deleted photos from the selection
+     */
+    refresh() {
+        const current = new Set(photoOrder);
+        this.selected.forEach(key => {
+            if (!current.has(key)) this.selected.delete(key);
+        });
+        this.update();
+    },
+
+    update() {
+        photoTiles.forEach(tile => this.decorate(tile));
+
+        const toolbar = document.getElementById('selectionToolbar');
+        toolbar.classList.toggle('active', this.selected.size > 0);
+        document.getElementById('selectionCount').textContent =
+            I18n.t('selection.count', { count: this.selected.size });
+        document.getElementById('selectionMoveTo').max = photoOrder.length;
+    },
+
+    decorate(tile) {
+        const selected = this.selected.has(tile.dataset.s3Key);
+        tile.classList.toggle('selected', selected);
+        tile.setAttribute('aria-selected', selected ? 'true' : 'false');
+    },
+
+    /**
+     * Move the selection as a block so its first photo lands at a 0-based index
+     */
+    moveTo(index, toBucket) {
+        const keys = this.keys();
+        if (keys.length === 0) return;
+
+        const to = Math.max(0, Math.min(photoOrder.length - keys.length, index));
+        OrderHistory.execute(OrderHistory.moveCommand(keys, to, toBucket));
+        console.log(`[SELECTION] Moved ${keys.length} photos to position ${to + 1}`);
+    },
+
+    moveToInput() {
+        const input = document.getElementById('selectionMoveTo');
+        const position = parseInt(input.value, 10);
+        if (!position) return;
+        input.value = '';
+        this.moveTo(position - 1);
+    },
+
+    /**
+     * Move the selection to the start or end of the age section of its first photo
+     * @param {string} edge - 'start' or 'end'
+     */
+    moveToSectionEdge(edge) {
+        const keys = this.keys();
+        if (keys.length === 0) return;
+
+        const bucket = getPhotoBucket(keys[0]) || '';
+        const remaining = photoOrder.filter(key => !this.selected.has(key));
+        const first = remaining.findIndex(key => (getPhotoBucket(key) || '') === bucket);
+
+        let index;
+        if (first === -1) {
+            // Every photo of this age is selected - keep the block where it starts
+            index = photoOrder.indexOf(keys[0]);
+        } else if (edge === 'start') {
+            index = first;
+        } else {
+            let last = first;
+            while (last + 1 < remaining.length && (getPhotoBucket(remaining[last + 1]) || '') === bucket) last++;
+            index = last + 1;
+        }
+
+        // Photos from other ages join this section
+        const changesBucket = keys.some(key => (getPhotoBucket(key) || '') !== bucket);
+        this.moveTo(index, changesBucket && bucket ? bucket : undefined);
+    },
+
+    async deleteSelected() {
+        const keys = this.keys();
+        if (keys.length === 0 || !LinkAccess.allow('delete')) return;
+
+        const confirmed = await showDeleteConfirm(keys.length);
+        if (!confirmed) return;
+
+        console.log(`[SELECTION] Removing ${keys.length} photos (undoable until download)`);
+        OrderHistory.execute(OrderHistory.deleteCommand(keys));
+    }
+};
@@ -3,115 +3,190 @@
 // Handles fetching photos, displaying gallery, drag-and-drop reordering, and download
 
 // === CONFIGURATION ===
-const S3_BUCKET = 'order-by-age-uploads';
-const S3_BASE_URL = `https://${S3_BUCKET}.s3.amazonaws.com`;
+// Bucket and Lambda URLs below are defaults - a brand in brands.json can override them (see brand.js)
+let S3_BUCKET = 'order-by-age-uploads';
+let S3_BASE_URL = `https://${S3_BUCKET}.s3.amazonaws.com`;
 
-// === CONFIGURATION - LAMBDAS ===
-const ZIP_LAMBDA_URL = 'https://cstueckloguxc24v6kshrxfn3y0oifhc.lambda-url.us-east-2.on.aws/';
-const DELETE_LAMBDA_URL = 'https://d3fcunfwhpv4dhopus6lylkiam0dyabo.lambda-url.us-east-2.on.aws/';
+// === CONFIGURATION - THUMBNAILS ===
+// Resized copies live next to the renamed photos: enhanced/{uid}/thumbs/{width}/{filename}
+const THUMBNAIL_WIDTHS = [200, 400];
+// Rendered tile width (see .photo-gallery grid) - lets the browser pick 200w or 400w for the screen
+const THUMBNAIL_SIZES = '(max-width: 480px) 33vw, 200px';
 
-// === BRANDING (set after URL params loaded) ===
+// === CONFIGURATION - LAMBDAS ===
+let ZIP_LAMBDA_URL = 'https://cstueckloguxc24v6kshrxfn3y0oifhc.lambda-url.us-east-2.on.aws/';
+let DELETE_LAMBDA_URL = 'https://d3fcunfwhpv4dhopus6lylkiam0dyabo.lambda-url.us-east-2.on.aws/';
+// Give up on the ZIP Lambda's answer to a new zip after this long and build the zip in the browser instead
+const ZIP_LAMBDA_TIMEOUT_MS = 120000;
+// Writes metadata/{uid}/custom_order.json and metadata/{uid}/photo_notes.json. Set per brand
+// in brands.json (storage.save_order_lambda_url / save_notes_lambda_url). No brand sets them
+// yet, so autosave and shared comments are OFF: the page says from the start that changes
+// aren't saved online, comments stay in the reviewer's browser, and a 'feature_off' event
+// is recorded for each.
+let SAVE_ORDER_LAMBDA_URL = '';
+let SAVE_NOTES_LAMBDA_URL = '';
+
+// === CONFIGURATION - TELEMETRY ===
+// Collector for batched client events (see telemetry.js) - leave empty to keep them in the page
+let TELEMETRY_URL = '';
+
+// === CONFIGURATION - SHARED LINKS ===
+// Public half (JWK) of the key that signs ?access= link tokens - set per brand as
+// access_public_key in brands.json. Without it roles aren't enforced and every link has full access.
+let ACCESS_LINK_PUBLIC_KEY = null;
+
+// === BRANDING (set by Brand.init() from brands.json) ===
 let supportEmail = 'team@memorialvideo.ai';
 let brandName = 'Memorial Video AI';
-let isSortByAge = false;
+
+// === ORDER STATE (photoOrder stays empty if loading fails, so error paths can read it) ===
+let uid = null;
+let photoOrder = [];
+
+// === CUSTOM ORDER STATE ===
+let customOrderUpdatedAt = null;
+let customBucketChanges = null;
+let customDateCorrections = null;
+
+// === GALLERY TILES (keyed by S3 key, kept so undo can restore them) ===
+const photoTiles = new Map();
+
+// === GALLERY FILTER (s3Key => boolean, or null to show every photo) ===
+let galleryFilter = null;
+
+// === MANIFEST ENTRIES (keyed by final_key, for the photo details panel) ===
+const manifestEntries = new Map();
 
 // === ADD THESE FUNCTIONS HERE ===
 let deleteConfirmResolve = null;
 
-function showDeleteConfirm() {
+function showDeleteConfirm(count = 1) {
+    const modal = document.getElementById('deleteConfirmModal');
+    modal.querySelector('.custom-modal-title').textContent = I18n.t('delete.title', { count });
+    modal.querySelector('.custom-modal-body').textContent = I18n.t('delete.body', { count });
+
     return new Promise((resolve) => {
         deleteConfirmResolve = resolve;
-        document.getElementById('deleteConfirmModal').classList.add('active');
+        modal.classList.add('active');
+        trapModalFocus(modal, () => closeDeleteConfirm(false));
     });
 }
 
 function closeDeleteConfirm(result) {
-    document.getElementById('deleteConfirmModal').classList.remove('active');
+    const modal = document.getElementById('deleteConfirmModal');
+    modal.classList.remove('active');
+    releaseModalFocus(modal);
     if (deleteConfirmResolve) {
         deleteConfirmResolve(result);
         deleteConfirmResolve = null;
     }
 }
 
+// === MODAL FOCUS (keep Tab inside an open modal, Escape cancels, focus returns on close) ===
+function trapModalFocus(modal, onEscape) {
+    modal.returnFocus = document.activeElement;
+
+    modal.focusTrap = (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            onEscape();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = Array.from(modal.querySelectorAll('button:not([disabled]), input, select, [tabindex="0"]'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !modal.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    };
+    document.addEventListener('keydown', modal.focusTrap, true);
+
+    // Start on the safe choice
+    const initial = modal.querySelector('.custom-modal-btn.secondary') || modal.querySelector('button');
+    if (initial) initial.focus();
+}
+
+function releaseModalFocus(modal) {
+    if (!modal.focusTrap) return;
+    document.removeEventListener('keydown', modal.focusTrap, true);
+    modal.focusTrap = null;
+
+    if (modal.returnFocus && modal.returnFocus.isConnected) modal.returnFocus.focus();
+    modal.returnFocus = null;
+}
+
 // === INITIALIZATION ===
 window.addEventListener('DOMContentLoaded', async () => {
+    Telemetry.init();
+
     // Get UID from URL
     const urlParams = new URLSearchParams(window.location.search);
     uid = urlParams.get('uid');
     const type = urlParams.get('type') || '';
 
-    // Determine branding based on type
-    isSortByAge = type && type.toLowerCase().includes('file');
-    supportEmail = isSortByAge ? 'team@sortbyage.com' : 'team@memorialvideo.ai';
-    brandName = isSortByAge ? 'SortByAge' : 'Memorial Video AI';
-    
-    if (isSortByAge) {
-        document.getElementById('siteLogo').src = 'https://www.dropbox.com/scl/fi/22w5xw6t5keu6pa1cn8c5/Screenshot-2025-12-02-at-11.49.41-AM.png?rlkey=ev1s30l8q7dole5rd37i6z5xe&st=reqrcaww&raw=1';
-        document.getElementById('siteLogo').alt = 'SortByAge';
-        document.title = 'Your Sorted Photos | SortByAge';
-        document.getElementById('supportEmail').href = 'mailto:team@sortbyage.com';
-        document.getElementById('supportEmail').textContent = 'team@sortbyage.com';
-        document.getElementById('footerCopyright').textContent = '© 2025 SortByAge. All rights reserved.';
-    }
+    // Language from ?lang= or the browser
+    await I18n.init(urlParams.get('lang'));
+
+    // Logo, colours, support email, footer and storage for this brand
+    await Brand.init(type, window.location.hostname);
 
     if (!uid) {
-        showError('No order ID provided. Please check your link.');
+        showError(I18n.t('error.no_uid'));
         return;
     }
 
     console.log(`[INIT] Loading photos for UID: ${uid}`);
 
+    // Shared links may be view- or comment-only
+    await LinkAccess.init(uid);
+
     try {
         await loadPhotos();
     } catch (error) {
         console.error('[ERROR] Failed to load photos:', error);
-        showError('Failed to load photos. Please try again or contact support.', error.message);
+        Telemetry.error('load_failed', error);
+        showError(I18n.t('error.failed'), error.message);
     }
 });
 
 // === LOAD PHOTOS ===
 async function loadPhotos() {
+    const started = performance.now();
     showLoading(true);
 
-    // First, check if there's a QA-reviewed custom order
-    const customOrder = await loadCustomOrder();
+    // The QA-reviewed custom order (if any) and the manifest, checked against each other
+    let manifestError = null;
+    const [customOrder, manifest] = await Promise.all([
+        loadCustomOrder(),
+        loadManifest().catch(error => {
+            console.log('[MANIFEST] Could not load manifest:', error.message);
+            manifestError = error;
+            return null;
+        })
+    ]);
     
     let photoEntries;
     
     if (customOrder) {
-        // Use QA-reviewed order (no sorting - use exact array order)
-        console.log(`[CUSTOM ORDER] Using QA-reviewed order with ${customOrder.length} photos`);
+        // Use QA-reviewed order (no sorting - use exact array order), repaired against the manifest
+        const order = OrderRepair.reconcile(customOrder, manifest && sortManifestKeys(manifest));
+        console.log(`[CUSTOM ORDER] Using QA-reviewed order with ${order.length} photos`);
         
-        photoEntries = customOrder.map(s3Key => ({
-            s3Key: s3Key,
-            filename: s3Key.split('/').pop(),
-            originalFilename: extractOriginalFilename(s3Key)
-        }));
+        photoEntries = order.map(buildPhotoEntry);
     } else {
-        // Fall back to manifest + alphabetical filename sort
-        const manifestUrl = `${S3_BASE_URL}/metadata/${uid}/final_filenames.json`;
-        console.log(`[FETCH] Loading manifest from: ${manifestUrl}`);
-
-        const response = await fetch(manifestUrl);
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch manifest: ${response.status} ${response.statusText}`);
+        if (!manifest) {
+            throw manifestError;
         }
 
-        const manifest = await response.json();
-        console.log(`[MANIFEST] Loaded ${manifest.length} entries`);
-
-        // Extract the final keys (renamed photos) and sort by filename
-        // Files are named like: 01-05(003)_|EX|_x_photo.jpg
-        // We want to sort by the age bucket and rank
-        photoEntries = manifest
-            .filter(entry => entry.final_key && !entry.final_key.endsWith('.ready'))
-            .map(entry => ({
-                s3Key: entry.final_key,
-                filename: entry.final_key.split('/').pop(),
-                originalFilename: extractOriginalFilename(entry.final_key)
-            }))
-            .sort((a, b) => a.filename.localeCompare(b.filename));
+        // Fall back to manifest + alphabetical filename sort
+        photoEntries = sortManifestKeys(manifest).map(buildPhotoEntry);
 
         console.log(`[PHOTOS] Sorted ${photoEntries.length} photos (no custom order found)`);
     }
@@ -119,14 +194,17 @@ async function loadPhotos() {
     // Store the initial order
     photoOrder = photoEntries.map(entry => entry.s3Key);
 
-    // Render the gallery
-    renderGallery(photoEntries);
+    // Render the gallery (flat, or grouped into age sections; windowed for large orders)
+    VirtualGallery.init(photoEntries.length);
+    GallerySections.init();
+    renderGallery();
 
     // Initialize drag-and-drop
     initializeSortable();
+    initTileButtons();
 
     // Update photo count
-    document.getElementById('photoCount').textContent = photoEntries.length;
+    updatePhotoCount();
 
     // Show bottom download button if many photos
     if (photoEntries.length > 20) {
@@ -135,7 +213,110 @@ async function loadPhotos() {
 
     showLoading(false);
 
+    // The gallery was hidden while rendering - window it now that it has a layout
+    if (VirtualGallery.active) VirtualGallery.refresh();
+
+    Telemetry.track('load', {
+        source: customOrder ? 'custom_order' : 'manifest',
+        photos: photoOrder.length,
+        duration_ms: Math.round(performance.now() - started)
+    });
+
+    ExportNaming.init();
+
     AnalyticsDisplay.init(uid, photoOrder);
+
+    OrderSync.init(uid, photoOrder, customOrderUpdatedAt);
+
+    OrderHistory.init();
+
+    PhotoDetails.init();
+
+    PhotoNotes.init(uid);
+
+    restoreBucketChanges(customBucketChanges);
+
+    PhotoDating.init(uid, customDateCorrections);
+
+    Timeline.init();
+
+    Lightbox.init();
+
+    Slideshow.init();
+
+    PhotoSelection.init();
+
+    GalleryKeyboard.init();
+
+    // A zip that was still being built when the page was closed
+    resumeZipJob();
+
+    // Finish repairing the stored order against S3, then say what was fixed
+    OrderRepair.checkStored()
+        .catch(error => console.log('[REPAIR] Could not check the custom order against S3:', error.message))
+        .then(() => OrderRepair.showNotice());
+}
+
+// === AI ORDER FROM THE MANIFEST ===
+// Extract the final keys (renamed photos) and sort by filename
+// Files are named like: 01-05(003)_|EX|_x_photo.jpg
+// We want to sort by the age bucket and rank
+function sortManifestKeys(manifest) {
+    return manifest
+        .filter(entry => entry.final_key && !entry.final_key.endsWith('.ready'))
+        .map(entry => entry.final_key)
+        .sort((a, b) => a.split('/').pop().localeCompare(b.split('/').pop()));
+}
+
+// === BUILD PHOTO ENTRY FROM S3 KEY ===
+function buildPhotoEntry(s3Key) {
+    return {
+        s3Key: s3Key,
+        filename: s3Key.split('/').pop(),
+        originalFilename: extractOriginalFilename(s3Key)
+    };
+}
+
+// === APPLY MERGED ORDER (AFTER AUTOSAVE CONFLICT) ===
+function applyMergedOrder(order) {
+    OrderHistory.reset();
+    photoOrder = order.slice();
+    renderGallery();
+    updatePhotoCount();
+}
+
+// === PHOTO COUNT ("12 photos sorted") ===
+function updatePhotoCount() {
+    document.getElementById('photoCount').textContent = I18n.formatNumber(photoOrder.length);
+    document.getElementById('photoCountLabel').textContent = I18n.t('count.sorted', { count: photoOrder.length });
+}
+
+// === ORDER CHANGED (REORDER, DELETE, UNDO, REDO) ===
+// options.save: false for changes that aren't the customer's (repairs on load)
+function onOrderChanged(options = {}) {
+    syncGalleryToOrder();
+    updateDisplayNumbers();
+    updatePhotoCount();
+    PhotoDetails.refresh();
+    Lightbox.refresh();
+    Slideshow.refresh();
+    PhotoSelection.refresh();
+    BrokenPhotos.refresh();
+    DuplicateFinder.refresh();
+    GalleryKeyboard.refresh();
+    OrderDiff.refresh();
+    Timeline.refresh();
+    if (options.save !== false) OrderSync.scheduleSave();
+}
+
+// === ESCAPE TEXT FOR innerHTML (filenames come from customer uploads) ===
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // === LOAD CUSTOM ORDER (QA-REVIEWED) ===
@@ -147,8 +328,16 @@ async function loadCustomOrder() {
         const response = await fetch(customOrderUrl);
         
         if (response.ok) {
-            const data = await response.json();
-            console.log(`[CUSTOM ORDER] Found QA-reviewed order from ${data.updated_at}`);
+            // Not valid JSON counts as unreadable, like any other schema problem
+            const data = OrderRepair.validateCustomOrder(await response.json().catch(() => undefined));
+            if (!data) {
+                OrderRepair.markUnreadable();
+                return null;
+            }
+            console.log(`[CUSTOM ORDER] Found QA-reviewed order from ${data.updatedAt}`);
+            customOrderUpdatedAt = data.updatedAt;
+            customBucketChanges = data.bucketChanges;
+            customDateCorrections = data.dateCorrections;
             return data.order;
         } else {
             console.log(`[CUSTOM ORDER] No custom order found (${response.status})`);
@@ -159,209 +348,573 @@ async function loadCustomOrder() {
     return null;
 }
 
-// === EXTRACT ORIGINAL FILENAME ===
-function extractOriginalFilename(s3Key) {
+// === LOAD MANIFEST (final_filenames.json) ===
+// Returns the validated entries. A failure here is only fatal when there is no
+// custom order to show instead.
+async function loadManifest() {
+    const manifestUrl = `${S3_BASE_URL}/metadata/${uid}/final_filenames.json`;
+    console.log(`[FETCH] Loading manifest from: ${manifestUrl}`);
+
+    const response = await fetch(manifestUrl);
+
+    if (!response.ok) {
+        throw new Error(`Failed to fetch manifest: ${response.status} ${response.statusText}`);
+    }
+
+    const { entries } = OrderRepair.validateManifest(await response.json());
+    console.log(`[MANIFEST] Loaded ${entries.length} entries`);
+
+    entries.forEach(entry => manifestEntries.set(entry.final_key, entry));
+    return entries;
+}
+
+// === PARSE FINAL FILENAME ===
+// Cached per S3 key - filenames never change once loaded
+const parsedFilenames = new Map();
+
+function parseFinalFilename(s3Key) {
+    if (parsedFilenames.has(s3Key)) return parsedFilenames.get(s3Key);
+
     // s3Key looks like: enhanced/uid/renamed/01-05(003)_|EX|_x_originalname.jpg
-    // We want to extract just "originalname.jpg"
-    
-    const filename = s3Key.split('/').pop();
-    
     // Pattern: age-bucket(rank)_|method|_suffix_originalname.ext
-    // We need to strip everything before the actual original filename
-    
-    // Find the last underscore-separated part that's the original name
-    // The format is: 01-05(003)_|EX|_x_originalname.jpg or 01-05(003)_|EX|_originalname.jpg
-    
+    const filename = s3Key.split('/').pop();
+
+    const info = {
+        bucket: null,         // "01-05"
+        ageMin: null,         // 1
+        ageMax: null,         // 5
+        rank: null,           // 3
+        method: null,         // "EX" (EXIF date) or the AI estimate marker
+        exifOverride: false,  // "x" marker: EXIF date overridden
+        originalFilename: filename
+    };
+
+    const prefix = filename.match(/^(\d+)-(\d+)\((\d+)\)/);
+    if (prefix) {
+        info.bucket = `${prefix[1]}-${prefix[2]}`;
+        info.ageMin = parseInt(prefix[1], 10);
+        info.ageMax = parseInt(prefix[2], 10);
+        info.rank = parseInt(prefix[3], 10);
+    }
+
     // Split by underscore and find where the original filename starts
     const parts = filename.split('_');
-    
+
     // The original filename is everything after the method marker |XX|
-    // Find the index after the |...| pattern
     let startIndex = 0;
     for (let i = 0; i < parts.length; i++) {
         if (parts[i].startsWith('|') && parts[i].endsWith('|')) {
+            info.method = parts[i].slice(1, -1);
             startIndex = i + 1;
             break;
         }
     }
-    
+
     // Check if there's an 'x' suffix (EXIF override marker)
     if (parts[startIndex] === 'x') {
+        info.exifOverride = true;
         startIndex++;
     }
-    
+
     // Join remaining parts as the original filename
-    return parts.slice(startIndex).join('_');
+    info.originalFilename = parts.slice(startIndex).join('_');
+
+    parsedFilenames.set(s3Key, info);
+    return info;
+}
+
+// === EXTRACT ORIGINAL FILENAME ===
+function extractOriginalFilename(s3Key) {
+    // enhanced/uid/renamed/01-05(003)_|EX|_x_originalname.jpg -> "originalname.jpg"
+    return parseFinalFilename(s3Key).originalFilename;
+}
+
+// === AGE BUCKETS (customer moves between sections override the filename bucket) ===
+const bucketOverrides = new Map();
+
+function getPhotoBucket(s3Key) {
+    return bucketOverrides.get(s3Key) || parseFinalFilename(s3Key).bucket;
+}
+
+function setBucketOverride(s3Key, bucket) {
+    if (!bucket || bucket === parseFinalFilename(s3Key).bucket) {
+        bucketOverrides.delete(s3Key);
+    } else {
+        bucketOverrides.set(s3Key, bucket);
+    }
+
+    const tile = photoTiles.get(s3Key);
+    if (tile) {
+        tile.classList.toggle('bucket-changed', bucketOverrides.has(s3Key));
+        tile.dataset.bucketOverride = bucketOverrides.get(s3Key) || '';
+    }
+}
+
+// Sent with the saved order so QA can see which photos changed age section
+function getBucketChanges() {
+    const changes = {};
+    bucketOverrides.forEach((bucket, s3Key) => {
+        changes[s3Key] = { from: parseFinalFilename(s3Key).bucket, to: bucket };
+    });
+    return changes;
+}
+
+// Section moves saved with the custom order (bucket_changes), put back on load
+function restoreBucketChanges(saved) {
+    let restored = 0;
+    Object.entries(saved || {}).forEach(([s3Key, change]) => {
+        if (!photoOrder.includes(s3Key)) return;
+        setBucketOverride(s3Key, change.to);
+        restored++;
+    });
+    if (restored) {
+        console.log(`[SECTIONS] Restored ${restored} section moves`);
+        syncGalleryToOrder();
+        updateDisplayNumbers();
+    }
 }
 
 // === RENDER GALLERY ===
-function renderGallery(photoEntries) {
+function renderGallery() {
     const gallery = document.getElementById('photoGallery');
     gallery.innerHTML = '';
+    photoTiles.clear();
 
-    photoEntries.forEach((entry, index) => {
-        const photoItem = document.createElement('div');
-        photoItem.className = 'photo-item loading';
-        photoItem.dataset.s3Key = entry.s3Key;
-        photoItem.dataset.index = index;
-
-        const displayNum = String(index + 1).padStart(3, '0');
-
-        photoItem.innerHTML = `
-            <div class="photo-number">${displayNum}</div>
-            <button class="delete-btn" onclick="deletePhoto('${entry.s3Key}', this)" title="Delete photo">×</button>
-            <img src="${S3_BASE_URL}/${entry.s3Key}" 
-                 alt="Photo ${index + 1}" 
-                 loading="lazy"
-                 onload="this.parentElement.classList.remove('loading')"
-                 onerror="handleImageError(this)">
-        `;
+    // Tiles are created when first mounted (getPhotoTile), so a windowed
+    // gallery only builds the rows near the viewport
+    syncGalleryToOrder();
+}
+
+function createPhotoTile(entry, index) {
+    const photoItem = document.createElement('div');
+    photoItem.className = 'photo-item loading';
+    photoItem.setAttribute('role', 'option');
+    photoItem.setAttribute('aria-selected', 'false');
+    photoItem.tabIndex = -1;
+    photoItem.dataset.s3Key = entry.s3Key;
+    photoItem.dataset.index = index;
+
+    const displayNum = String(index + 1).padStart(3, '0');
+
+    photoItem.innerHTML = `
+        <div class="photo-number">${displayNum}</div>
+        <div class="photo-export-name"></div>
+        <button class="delete-btn" data-action="delete" title="${escapeHtml(I18n.t('tile.delete'))}" aria-label="${escapeHtml(I18n.t('tile.delete'))}" tabindex="-1">×</button>
+        <button class="expand-btn" data-action="expand" title="${escapeHtml(I18n.t('tile.expand'))}" aria-label="${escapeHtml(I18n.t('tile.expand'))}" tabindex="-1">⤢</button>
+        <button class="date-btn" data-action="date" aria-label="${escapeHtml(I18n.t('tile.date'))}" tabindex="-1" data-requires="reorder">📅</button>
+        <div class="delete-failed-overlay">
+            <span>${escapeHtml(I18n.t('tile.delete_failed'))}</span>
+            <button type="button" data-action="retry-delete">${escapeHtml(I18n.t('tile.retry'))}</button>
+            <button type="button" data-action="keep">${escapeHtml(I18n.t('tile.keep'))}</button>
+        </div>
+        <img src="${escapeHtml(thumbnailUrl(entry.s3Key, THUMBNAIL_WIDTHS[0]))}"
+             srcset="${escapeHtml(thumbnailSrcset(entry.s3Key))}"
+             sizes="${THUMBNAIL_SIZES}"
+             alt="${escapeHtml(I18n.t('tile.alt', { number: index + 1 }))}" 
+             loading="lazy"
+             onload="handleImageLoad(this)"
+             onerror="handleImageError(this)">
+    `;
+
+    decorateTile(photoItem);
+    return photoItem;
+}
+
+// === TILE BUTTONS ===
+// One listener for the whole gallery; the photo comes from the tile, so keys never
+// end up inside inline handlers
+function initTileButtons() {
+    document.getElementById('photoGallery').addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        const tile = btn && btn.closest('.photo-item');
+        if (!tile) return;
+
+        const s3Key = tile.dataset.s3Key;
+        switch (btn.dataset.action) {
+            case 'delete': deletePhoto(s3Key); break;
+            case 'expand': Lightbox.open(s3Key); break;
+            case 'date': PhotoDating.open(s3Key); break;
+            case 'retry-delete': DeleteQueue.retryTile(s3Key); break;
+            case 'keep': DeleteQueue.keepTile(s3Key); break;
+        }
+    });
+}
+
+// Per-photo state kept by other modules (selection, duplicates, comments, dates)
+function decorateTile(tile) {
+    PhotoSelection.decorate(tile);
+    DuplicateFinder.decorate(tile);
+    PhotoNotes.decorate(tile);
+    OrderDiff.decorate(tile);
+    PhotoDating.decorate(tile);
+}
 
-        gallery.appendChild(photoItem);
+// === SYNC GALLERY DOM TO photoOrder ===
+function syncGalleryToOrder() {
+    const gallery = document.getElementById('photoGallery');
+
+    if (GallerySections.enabled) {
+        GallerySections.sync(gallery);
+        return;
+    }
+
+    if (gallery.querySelector('.age-section')) {
+        // Switching back from the grouped view
+        gallery.innerHTML = '';
+        gallery.classList.remove('grouped');
+    }
+
+    syncTiles(gallery, visiblePhotoOrder());
+}
+
+// Photos shown in the gallery: photoOrder, narrowed by any active filter
+function visiblePhotoOrder() {
+    return galleryFilter ? photoOrder.filter(galleryFilter) : photoOrder;
+}
+
+function setGalleryFilter(filter) {
+    galleryFilter = filter;
+    document.getElementById('photoGallery').classList.toggle('filtered', Boolean(filter));
+    syncGalleryToOrder();
+    updateDisplayNumbers();
+}
+
+// Show the tiles for `keys` in a grid (only the visible window of them for large orders)
+function syncTiles(container, keys) {
+    if (VirtualGallery.active) {
+        VirtualGallery.render(container, keys);
+    } else {
+        placeTiles(container, keys);
+    }
+}
+
+// Make a container's children exactly the tiles for `keys`, moving as few as possible
+function placeTiles(container, keys) {
+    const keep = new Set(keys);
+
+    // Detach tiles that don't belong here (kept in photoTiles for undo)
+    Array.from(container.children).forEach(tile => {
+        if (!keep.has(tile.dataset.s3Key)) tile.remove();
+    });
+
+    let expected = container.firstElementChild;
+    keys.forEach(s3Key => {
+        const tile = getPhotoTile(s3Key);
+        if (tile === expected) {
+            expected = expected.nextElementSibling;
+        } else {
+            container.insertBefore(tile, expected);
+        }
     });
 }
 
+// Cached tile for a photo, created on first use
+function getPhotoTile(s3Key) {
+    let tile = photoTiles.get(s3Key);
+    if (!tile) {
+        tile = createPhotoTile(buildPhotoEntry(s3Key), photoOrder.indexOf(s3Key));
+        photoTiles.set(s3Key, tile);
+    }
+    return tile;
+}
+
+// === SCROLL A PHOTO INTO VIEW (EVEN IF ITS TILE ISN'T MOUNTED) ===
+function scrollToPhoto(s3Key) {
+    const tile = photoTiles.get(s3Key);
+    if (tile && tile.isConnected) {
+        tile.scrollIntoView({ block: 'center' });
+    } else if (VirtualGallery.active) {
+        VirtualGallery.scrollTo(s3Key);
+    }
+}
+
+// === PHOTO AND THUMBNAIL URLS ===
+// Each path segment is encoded: customer filenames can hold spaces, '#', '?' or quotes
+function photoUrl(s3Key, baseUrl = S3_BASE_URL) {
+    return `${baseUrl}/${s3Key.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+// Keys outside renamed/ have no thumbnails and use the original
+function thumbnailUrl(s3Key, width) {
+    if (!s3Key.includes('/renamed/')) return photoUrl(s3Key);
+    return photoUrl(s3Key.replace('/renamed/', `/thumbs/${width}/`));
+}
+
+function thumbnailSrcset(s3Key) {
+    return THUMBNAIL_WIDTHS.map(width => `${thumbnailUrl(s3Key, width)} ${width}w`).join(', ');
+}
+
+// === HANDLE IMAGE LOAD ===
+function handleImageLoad(img) {
+    img.parentElement.classList.remove('loading');
+    BrokenPhotos.loaded(img);
+}
+
 // === HANDLE IMAGE ERROR ===
 function handleImageError(img) {
+    // Thumbnail not generated (yet) - fall back to the original once
+    if (img.srcset) {
+        const s3Key = img.closest('[data-s3-key]').dataset.s3Key;
+        console.log('[THUMBS] No thumbnail, loading original:', s3Key);
+        img.removeAttribute('srcset');
+        img.src = photoUrl(s3Key);
+        return;
+    }
+
+    // Transient failures are retried before the photo is reported as broken
+    if (BrokenPhotos.retry(img)) return;
+
     console.error('[IMAGE ERROR] Failed to load:', img.src);
     img.parentElement.classList.remove('loading');
     img.src = 'data:image/svg+xml,' + encodeURIComponent(`
         <svg xmlns="http://www.w3.org/2000/svg" width="150" height="150" viewBox="0 0 150 150">
             <rect fill="#f0f0f0" width="150" height="150"/>
             <text x="50%" y="50%" text-anchor="middle" dy=".3em" fill="#999" font-family="sans-serif" font-size="14">
-                Failed to load
+                ${escapeHtml(I18n.t('tile.failed'))}
             </text>
         </svg>
     `);
 }
 
 // === INITIALIZE SORTABLE (DRAG AND DROP) ===
+// One instance per grid: the whole gallery, or each age section when grouped
+let sortableInstances = [];
+
 function initializeSortable() {
     const gallery = document.getElementById('photoGallery');
+    const containers = GallerySections.enabled
+        ? Array.from(gallery.querySelectorAll('.age-section-grid'))
+        : [gallery];
+
+    sortableInstances.forEach(instance => instance.destroy());
+    sortableInstances = [];
+
+    // View/comment links can't reorder
+    if (!LinkAccess.can('reorder')) return;
 
-    new Sortable(gallery, {
+    sortableInstances = containers.map(container => new Sortable(container, {
+        group: 'photos',
         animation: 150,
         ghostClass: 'sortable-ghost',
         chosenClass: 'sortable-chosen',
         dragClass: 'sortable-drag',
+        draggable: '.photo-item',
+
+        onStart: function() {
+            VirtualGallery.dragging = true;
+        },
         
         onEnd: function(evt) {
-            const oldIndex = evt.oldIndex;
-            const newIndex = evt.newIndex;
+            VirtualGallery.dragging = false;
+
+            const s3Key = evt.item.dataset.s3Key;
+            const oldIndex = photoOrder.indexOf(s3Key);
 
-            if (oldIndex !== newIndex) {
-                // Update the photoOrder array
-                const [movedItem] = photoOrder.splice(oldIndex, 1);
-                photoOrder.splice(newIndex, 0, movedItem);
+            // Dragging a selected photo carries the rest of the selection with it
+            const keys = PhotoSelection.selected.has(s3Key) ? PhotoSelection.keys() : [s3Key];
+            const newIndex = dropIndex(evt.item, keys);
 
-                // Update display numbers
-                updateDisplayNumbers();
+            // Dropped into a different age section: the photos take that section's bucket
+            const section = evt.to.closest('.age-section');
+            const toBucket = evt.from !== evt.to && section ? section.dataset.bucket : undefined;
 
-                console.log(`[REORDER] Moved photo from position ${oldIndex + 1} to ${newIndex + 1}`);
+            if (keys.length > 1 || oldIndex !== newIndex || toBucket !== undefined) {
+                // Record the move so it can be undone (updates photoOrder and numbers)
+                OrderHistory.execute(OrderHistory.moveCommand(keys, Math.max(0, newIndex), toBucket));
+
+                console.log(`[REORDER] Moved ${keys.length > 1 ? `${keys.length} photos` : 'photo'} from position ${oldIndex + 1} to ${newIndex + 1}` +
+                    (toBucket !== undefined ? ` (age section ${toBucket})` : ''));
+                GalleryKeyboard.announce(I18n.t('keyboard.moved', { from: oldIndex + 1, to: newIndex + 1 }));
             }
         }
-    });
+    }));
+
+    console.log(`[SORTABLE] Drag-and-drop initialized (${containers.length} grid${containers.length > 1 ? 's' : ''})`);
+}
+
+// === DROP POSITION FROM THE TILES AROUND A DROPPED ITEM ===
+// Uses the neighbouring tiles rather than DOM position, since the grid may be
+// windowed or split into sections. Returns where the first of `keys` lands.
+function dropIndex(item, keys) {
+    const moving = new Set(keys);
+    const remaining = photoOrder.filter(key => !moving.has(key));
+
+    const neighbour = (direction) => {
+        let el = item[direction];
+        while (el && (!el.classList.contains('photo-item') || moving.has(el.dataset.s3Key))) {
+            el = el[direction];
+        }
+        return el;
+    };
+
+    const previous = neighbour('previousElementSibling');
+    if (previous) return remaining.indexOf(previous.dataset.s3Key) + 1;
 
-    console.log('[SORTABLE] Drag-and-drop initialized');
+    const next = neighbour('nextElementSibling');
+    if (next) return remaining.indexOf(next.dataset.s3Key);
+
+    return photoOrder.indexOf(keys[0]);
 }
 
 // === UPDATE DISPLAY NUMBERS AFTER REORDER ===
 function updateDisplayNumbers() {
-    const photoItems = document.querySelectorAll('.photo-item');
+    // Numbered from photoOrder, so only mounted tiles are touched (large galleries are windowed)
+    const positions = new Map(photoOrder.map((key, i) => [key, i]));
+    const photoItems = document.querySelectorAll('#photoGallery .photo-item');
+    const focusKey = GalleryKeyboard.focusKey();
     
-    photoItems.forEach((item, index) => {
+    photoItems.forEach(item => {
+        const index = positions.get(item.dataset.s3Key);
+        if (index === undefined) return;
+
+        // Screen readers get the real position even when only part of the list is mounted
+        item.setAttribute('aria-label', I18n.t('tile.position', { number: index + 1, total: photoOrder.length }));
+        item.setAttribute('aria-posinset', index + 1);
+        item.setAttribute('aria-setsize', photoOrder.length);
+        item.tabIndex = item.dataset.s3Key === focusKey ? 0 : -1;
+
         const numberBadge = item.querySelector('.photo-number');
         if (numberBadge) {
             numberBadge.textContent = String(index + 1).padStart(3, '0');
         }
+        const exportName = item.querySelector('.photo-export-name');
+        if (exportName) {
+            exportName.textContent = ExportNaming.filename(index, item.dataset.s3Key);
+        }
         item.dataset.index = index;
     });
 }
 
 // === DOWNLOAD ALL ===
-async function downloadAll() {
-    const downloadBtn = document.getElementById('downloadBtn');
-    const originalText = downloadBtn.querySelector('.btn-text').textContent;
+// mode 'local' skips the ZIP Lambda and builds the zip in the browser
+async function downloadAll(mode) {
+    if (!LinkAccess.allow('download')) return;
 
     // Disable all download buttons and show loading state
-    const allDownloadBtns = document.querySelectorAll('.download-btn');
-    allDownloadBtns.forEach(btn => {
-        btn.disabled = true;
-        const btnText = btn.querySelector('.btn-text');
-        if (btnText) btnText.textContent = 'Preparing download...';
-    });
+    const started = performance.now();
+    const elapsed = () => Math.round(performance.now() - started);
+    setDownloadButtons(I18n.t('download.preparing'));
 
     try {
-        console.log('[DOWNLOAD] Starting zip generation for', photoOrder.length, 'photos');
-        console.log('[DOWNLOAD] Photo order:', photoOrder);
-
-        const response = await fetch(ZIP_LAMBDA_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                uid: uid,
-                photo_order: photoOrder
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `Server error: ${response.status}`);
+        // Deletes are soft until now - make sure S3 matches what the customer sees
+        await OrderHistory.flushDeletes();
+
+        if (mode !== 'local') {
+            try {
+                await downloadViaLambda();
+                Telemetry.track('download', { method: 'lambda', outcome: 'ok', photos: photoOrder.length, duration_ms: elapsed() });
+                return;
+            } catch (error) {
+                Telemetry.error('download', error, { method: 'lambda', outcome: 'failed', duration_ms: elapsed() });
+                // The job ran and failed (or expired) - only fall back to the browser zip
+                // when the Lambda couldn't be reached
+                if (error.final) {
+                    console.error('[DOWNLOAD ERROR] Zip job failed:', error);
+                    showDownloadError(error.message);
+                    return;
+                }
+                console.error('[DOWNLOAD ERROR] Zip Lambda unreachable, building zip in browser:', error);
+            }
         }
 
-        const result = await response.json();
-        console.log('[DOWNLOAD] Lambda response:', result);
+        setDownloadButtons(I18n.t('download.building'));
 
-        if (result.success && result.download_url) {
-            // Show success message
-            showDownloadSuccess(result.photo_count, result.email_sent);
-            
-            // Trigger download
-            console.log('[DOWNLOAD] Starting download from:', result.download_url);
-            window.location.href = result.download_url;
-        } else {
-            throw new Error(result.error || 'Failed to generate download link');
+        const saved = await LocalZip.download();
+        Telemetry.track('download', { method: 'local', outcome: saved ? 'ok' : 'cancelled', photos: photoOrder.length, duration_ms: elapsed() });
+        if (saved) {
+            showDownloadSuccess(photoOrder.length, false);
         }
 
     } catch (error) {
         console.error('[DOWNLOAD ERROR]', error);
+        Telemetry.error('download', error, { method: mode === 'local' ? 'local' : 'any', outcome: 'failed', duration_ms: elapsed() });
         showDownloadError(error.message);
     } finally {
         // Re-enable all download buttons
-        allDownloadBtns.forEach(btn => {
-            btn.disabled = false;
-            const btnText = btn.querySelector('.btn-text');
-            if (btnText) btnText.textContent = originalText;
-        });
+        setDownloadButtons(null);
+    }
+}
+
+// === DOWNLOAD BUTTON STATE (text while busy, null to re-enable) ===
+function setDownloadButtons(text) {
+    document.querySelectorAll('.download-btn').forEach(btn => {
+        btn.disabled = text !== null;
+        const btnText = btn.querySelector('.btn-text');
+        if (btnText) btnText.textContent = text !== null ? text : I18n.t('download.button');
+    });
+}
+
+// === DOWNLOAD VIA ZIP LAMBDA (background job, see zip-job.js) ===
+async function downloadViaLambda() {
+    console.log('[DOWNLOAD] Starting zip generation for', photoOrder.length, 'photos');
+    console.log('[DOWNLOAD] Photo order:', photoOrder);
+
+    const result = await ZipJob.start({
+        uid: uid,
+        photo_order: photoOrder,
+        naming: ExportNaming.toRequest(),
+        bucket_changes: getBucketChanges(),
+        date_corrections: PhotoDating.payload(),
+        ...LinkAccess.requestFields()
+    });
+
+    deliverZip(result);
+}
+
+// === FINISHED ZIP: START THE DOWNLOAD, OR SAY IT WAS EMAILED ===
+function deliverZip(result) {
+    showDownloadSuccess(result.photo_count, result.email_sent, !result.download_url);
+
+    if (result.download_url) {
+        console.log('[DOWNLOAD] Starting download from:', result.download_url);
+        window.location.href = result.download_url;
+    }
+}
+
+// === RESUME A ZIP JOB STARTED BEFORE A RELOAD ===
+async function resumeZipJob() {
+    const job = ZipJob.pending();
+    if (!job || !LinkAccess.can('download')) return;
+
+    console.log(`[DOWNLOAD] Resuming zip job ${job.id}`);
+    setDownloadButtons(I18n.t('download.preparing'));
+
+    try {
+        deliverZip(await ZipJob.poll());
+        Telemetry.track('download', { method: 'lambda', outcome: 'ok', resumed: true, photos: job.photo_count });
+    } catch (error) {
+        console.error('[DOWNLOAD ERROR]', error);
+        showDownloadError(error.message);
+    } finally {
+        setDownloadButtons(null);
     }
 }
 
 // === DOWNLOAD SUCCESS MESSAGE ===
-function showDownloadSuccess(photoCount, emailSent) {
+function showDownloadSuccess(photoCount, emailSent, emailOnly = false) {
     // Create full-screen thank you overlay
     const overlay = document.createElement('div');
     overlay.className = 'thank-you-overlay';
     overlay.innerHTML = `
         <div class="thank-you-content">
+            <img class="thank-you-logo" src="${escapeHtml(document.getElementById('siteLogo').src)}" alt="${escapeHtml(brandName)}">
             <div class="thank-you-icon">✅</div>
-            <h2>Download Started!</h2>
-            <p class="thank-you-main">${photoCount} photos are being downloaded as a zip file.</p>
-            ${emailSent ? '<p class="thank-you-email">A backup download link has also been emailed to you.</p>' : ''}
+            <h2>${I18n.t(emailOnly ? 'thanks.emailed_title' : 'thanks.title')}</h2>
+            <p class="thank-you-main">${I18n.t(emailOnly ? 'thanks.emailed' : 'thanks.main', { count: photoCount })}</p>
+            ${emailSent && !emailOnly ? `<p class="thank-you-email">${I18n.t('thanks.email')}</p>` : ''}
             
             <div class="thank-you-info">
-                <p><strong>Your files are named:</strong></p>
-                <p class="file-naming">001.jpg, 004.jpg, 007.jpg, 010.jpg...</p>
-                <p class="file-note">This numbering allows you to easily insert additional photos between existing ones in your slideshow software.</p>
+                <p><strong>${I18n.t('thanks.named')}</strong></p>
+                <p class="file-naming">${escapeHtml(ExportNaming.examples())}</p>
+                ${ExportNaming.settings.step > 1 ? `<p class="file-note">${I18n.t('thanks.gaps')}</p>` : ''}
             </div>
             
             <div class="thank-you-actions">
-                <button class="btn-close-overlay" onclick="closeThankYou()">Close</button>
-                <button class="btn-redownload" onclick="downloadAll()">Download Again</button>
+                <button class="btn-close-overlay" onclick="closeThankYou()">${I18n.t('common.close')}</button>
+                <button class="btn-redownload" onclick="downloadAll()">${I18n.t('thanks.again')}</button>
             </div>
             
-            <p class="thank-you-support">Questions? Contact us at <a href="mailto:${supportEmail}">${supportEmail}</a></p>
+            <p class="thank-you-support">${I18n.t('footer.questions')} <a href="${supportMailto()}">${supportEmail}</a></p>
         </div>
     `;
     
@@ -400,12 +953,18 @@ function showDownloadSuccess(photoCount, emailSent) {
                 from { transform: translateY(30px); opacity: 0; }
                 to { transform: translateY(0); opacity: 1; }
             }
+            .thank-you-logo {
+                display: block;
+                max-width: 200px;
+                max-height: 80px;
+                margin: 0 auto 15px;
+            }
             .thank-you-icon {
                 font-size: 60px;
                 margin-bottom: 20px;
             }
             .thank-you-content h2 {
-                color: #1e3c72;
+                color: var(--brand-primary);
                 font-size: 28px;
                 margin: 0 0 15px 0;
             }
@@ -432,7 +991,7 @@ function showDownloadSuccess(photoCount, emailSent) {
             .file-naming {
                 font-family: monospace;
                 font-size: 16px;
-                color: #1e3c72 !important;
+                color: var(--brand-primary) !important;
                 font-weight: bold;
             }
             .file-note {
@@ -448,7 +1007,7 @@ function showDownloadSuccess(photoCount, emailSent) {
             }
             .btn-close-overlay {
                 padding: 12px 30px;
-                background: #1e3c72;
+                background: var(--brand-primary);
                 color: white;
                 border: none;
                 border-radius: 8px;
@@ -458,14 +1017,14 @@ function showDownloadSuccess(photoCount, emailSent) {
                 transition: all 0.2s;
             }
             .btn-close-overlay:hover {
-                background: #2a5298;
+                background: var(--brand-accent);
                 transform: translateY(-2px);
             }
             .btn-redownload {
                 padding: 12px 30px;
                 background: white;
-                color: #1e3c72;
-                border: 2px solid #1e3c72;
+                color: var(--brand-primary);
+                border: 2px solid var(--brand-primary);
                 border-radius: 8px;
                 font-size: 16px;
                 font-weight: 600;
@@ -482,7 +1041,7 @@ function showDownloadSuccess(photoCount, emailSent) {
                 margin: 0;
             }
             .thank-you-support a {
-                color: #1e3c72;
+                color: var(--brand-primary);
                 text-decoration: none;
             }
             .thank-you-support a:hover {
@@ -514,10 +1073,10 @@ function showDownloadError(message) {
         <div class="success-content">
             <span class="success-icon">❌</span>
             <div class="success-text">
-                <strong>Download failed</strong>
-                <p>${message || 'Please try again or contact support.'}</p>
+                <strong>${I18n.t('download_error.title')}</strong>
+                <p>${escapeHtml(message || I18n.t('download_error.default'))}</p>
             </div>
-            <button class="success-close" onclick="this.parentElement.parentElement.remove()">×</button>
+            <button class="success-close" onclick="this.parentElement.parentElement.remove()" aria-label="${escapeHtml(I18n.t('common.close'))}">×</button>
         </div>
     `;
     
@@ -531,6 +1090,18 @@ function showDownloadError(message) {
     }, 10000);
 }
 
+// === SUPPORT EMAIL LINK ===
+// Pre-fills the order ID and any photos that failed to load
+function supportMailto() {
+    const subject = uid ? `Question about my photos (order ${uid})` : 'Question about my photos';
+    const body = [
+        uid ? `Order ID: ${uid}` : 'Order ID: (missing from my link)',
+        `Session: ${Telemetry.session}`,
+        ...BrokenPhotos.report()
+    ].join('\n');
+    return `mailto:${supportEmail}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
 // === UI HELPERS ===
 function showLoading(show) {
     const loadingState = document.getElementById('loadingState');
@@ -560,89 +1131,72 @@ function showError(message, detail = '') {
     downloadSection.style.display = 'none';
 
     errorState.style.display = 'block';
+    errorState.querySelector('.error-message').textContent = message;
     if (detail) {
         errorDetail.textContent = detail;
     }
+
+    const support = document.getElementById('errorSupport');
+    support.href = supportMailto();
+    support.textContent = supportEmail;
 }
 
 // === DELETE PHOTO ===
-async function deletePhoto(s3Key, buttonElement) {
+// Accepts one S3 key or an array of them (e.g. the extra copies of a duplicate)
+async function deletePhoto(s3Keys) {
+    if (!LinkAccess.allow('delete')) return;
+    const keys = [].concat(s3Keys);
+
     // Confirm deletion with custom modal
-    const confirmed = await showDeleteConfirm();
+    const confirmed = await showDeleteConfirm(keys.length);
     if (!confirmed) {
         return;
     }
-    const photoItem = buttonElement.closest('.photo-item');
-    
-    // Show deleting state
-    photoItem.classList.add('deleting');
-    buttonElement.disabled = true;
-    buttonElement.textContent = '...';
+    const photoItems = keys.map(key => photoTiles.get(key)).filter(Boolean);
 
-    try {
-        console.log('[DELETE] Deleting photo:', s3Key);
-
-        const response = await fetch(DELETE_LAMBDA_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                uid: uid,
-                s3_key: s3Key
-            })
-        });
+    console.log('[DELETE] Removing photos (undoable until download):', keys);
 
-        // Try to parse response, but don't fail if CORS blocks it
-        let result = { success: true };
-        try {
-            result = await response.json();
-        } catch (e) {
-            // CORS might block reading response, but request likely succeeded
-            console.log('[DELETE] Could not parse response (CORS), assuming success');
-        }
-
-        console.log('[DELETE] Result:', result);
-
-        // Remove from photoOrder array
-        const index = photoOrder.indexOf(s3Key);
-        if (index > -1) {
-            photoOrder.splice(index, 1);
-        }
-
-        // Remove from DOM with animation
+    // Remove from DOM with animation, then record the (soft) delete
+    photoItems.forEach(photoItem => {
         photoItem.style.transform = 'scale(0)';
         photoItem.style.opacity = '0';
-        
-        setTimeout(() => {
-            photoItem.remove();
-            // Update display numbers
-            updateDisplayNumbers();
-            // Update photo count
-            document.getElementById('photoCount').textContent = photoOrder.length;
-        }, 300);
+    });
 
-    } catch (error) {
-        console.error('[DELETE ERROR]', error);
-        
-        // "Failed to fetch" typically means CORS blocked the response, but the request may have succeeded
-        // Since our logs show deletes work, assume success and remove from UI
-        console.log('[DELETE] Request error, but delete likely succeeded. Removing from UI.');
-        
-        // Remove from photoOrder array
-        const index = photoOrder.indexOf(s3Key);
-        if (index > -1) {
-            photoOrder.splice(index, 1);
-        }
+    setTimeout(() => {
+        OrderHistory.execute(OrderHistory.deleteCommand(keys));
+        photoItems.forEach(photoItem => {
+            photoItem.style.transform = '';
+            photoItem.style.opacity = '';
+        });
+    }, 300);
+}
 
-        // Remove from DOM
-        photoItem.style.transform = 'scale(0)';
-        photoItem.style.opacity = '0';
-        
-        setTimeout(() => {
-            photoItem.remove();
-            updateDisplayNumbers();
-            document.getElementById('photoCount').textContent = photoOrder.length;
-        }, 300);
+// === SEND DELETE TO LAMBDA (CALLED BY DeleteQueue) ===
+// One request per batch: s3_key for a single photo, s3_keys for several.
+// Throws unless the Lambda confirms the delete; a CORS-blocked or failed
+// response counts as a failure so DeleteQueue can retry and reconcile.
+async function sendDeleteRequest(s3Keys, options = {}) {
+    console.log('[DELETE] Deleting photos:', s3Keys);
+
+    const response = await fetch(DELETE_LAMBDA_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            uid: uid,
+            ...(s3Keys.length === 1 ? { s3_key: s3Keys[0] } : { s3_keys: s3Keys }),
+            ...LinkAccess.requestFields()
+        }),
+        keepalive: !!options.keepalive
+    });
+
+    const result = await response.json().catch(() => null);
+
+    if (!response.ok || !result || result.success === false) {
+        throw new Error((result && result.error) || `Delete failed: ${response.status}`);
     }
+
+    console.log('[DELETE] Result:', result);
+    return result;
 }
@@ -0,0 +1,276 @@
+// Memorial Video AI - Slideshow Preview
+// Plays photoOrder full screen the way a memorial slideshow would: a set time per
+// photo, a crossfade between them, and optional music from a file on the customer's
+// computer (never uploaded). "Fix in grid" stops on the current photo and takes the
+// customer back to it in the gallery so its position can be changed.
+
+const Slideshow = {
+
+    STORAGE_KEY: 'slideshowSettings',
+    DEFAULTS: { duration: 5, crossfade: 1 },
+
+    settings: null,
+    index: 0,
+    s3Key: null,            // photo on screen, so a reorder doesn't change what's showing
+    playing: false,
+    finished: false,
+    isOpen: false,
+    timer: null,
+    front: 0,               // which of the two image layers is showing
+    audio: null,
+    audioUrl: null,
+
+    init() {
+        try {
+            this.settings = { ...this.DEFAULTS, ...JSON.parse(localStorage.getItem(this.STORAGE_KEY)) };
+        } catch (e) {
+            this.settings = { ...this.DEFAULTS };
+        }
+        document.getElementById('slideshowDuration').value = this.settings.duration;
+        document.getElementById('slideshowCrossfade').value = this.settings.crossfade;
+
+        // Space plays/pauses, ←/→ step (Esc is handled by the focus trap)
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen || e.target.closest('input, select')) return;
+
+            if (e.key === ' ' && !e.target.closest('button')) {
+                e.preventDefault();
+                this.togglePlay();
+            } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.step(e.key === 'ArrowLeft' ? -1 : 1);
+            }
+        }, true);
+    },
+
+    /**
+     * Start playing from a photo (the focused one, or the first)
+     */
+    open(s3Key) {
+        if (photoOrder.length === 0) return;
+
+        this.isOpen = true;
+        this.index = Math.max(0, photoOrder.indexOf(s3Key || GalleryKeyboard.focusKey()));
+        const overlay = document.getElementById('slideshow');
+        overlay.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        trapModalFocus(overlay, () => this.close());
+        document.getElementById('slideshowPlay').focus();
+
+        console.log(`[SLIDESHOW] Playing ${photoOrder.length} photos from #${this.index + 1}`);
+        this.updateRuntime();
+        this.show(this.index);
+        this.play();
+    },
+
+    close() {
+        this.pause();
+        this.isOpen = false;
+        const overlay = document.getElementById('slideshow');
+        overlay.classList.remove('active');
+        document.body.style.overflow = '';
+        releaseModalFocus(overlay);
+    },
+
+    /**
+     * Stop on the current photo and focus it in the gallery
+     */
+    fixInGrid() {
+        const s3Key = this.s3Key;
+        this.close();
+        if (s3Key) GalleryKeyboard.focusPhoto(s3Key);
+        console.log(`[SLIDESHOW] Back to the grid at #${this.index + 1}`);
+    },
+
+    play() {
+        // Played to the end - start over
+        if (this.finished) this.show(0);
+        this.finished = false;
+        this.playing = true;
+        this.schedule();
+        this.syncAudio();
+        if (this.audio) this.audio.play().catch(() => {});
+        this.updateControls();
+    },
+
+    pause() {
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.audio) this.audio.pause();
+        this.updateControls();
+    },
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    },
+
+    step(delta) {
+        const index = this.index + delta;
+        if (index < 0 || index >= photoOrder.length) return;
+        this.show(index);
+        this.syncAudio();
+        this.schedule();
+    },
+
+    /**
+     * Next photo after the per-photo duration, while playing
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.playing) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (this.index >= photoOrder.length - 1) {
+                this.finished = true;
+                this.pause();
+                GalleryKeyboard.announce(I18n.t('slideshow.ended'));
+                return;
+            }
+            this.show(this.index + 1);
+            this.schedule();
+        }, this.settings.duration * 1000);
+    },
+
+    /**
+     * Fade the photo in on the back layer once it has loaded
+     */
+    show(index) {
+        const s3Key = photoOrder[index];
+        this.index = index;
+        this.s3Key = s3Key;
+        const layers = document.querySelectorAll('#slideshow .slideshow-image');
+        const incoming = layers[this.front ^ 1];
+        const outgoing = layers[this.front];
+
+        layers.forEach(layer => {
+            layer.style.transitionDuration = `${this.settings.crossfade}s`;
+        });
+
+        incoming.onload = incoming.onerror = () => {
+            if (this.s3Key !== s3Key) return;
+            incoming.classList.add('visible');
+            outgoing.classList.remove('visible');
+            this.front ^= 1;
+        };
+        incoming.alt = I18n.t('tile.alt', { number: index + 1 });
+        incoming.src = photoUrl(s3Key);
+
+        // Warm the cache for the next photo
+        if (photoOrder[index + 1]) new Image().src = photoUrl(photoOrder[index + 1]);
+
+        this.updateControls();
+    },
+
+    updateControls() {
+        const count = photoOrder.length;
+        document.getElementById('slideshowPosition').textContent = `${this.index + 1} / ${count}`;
+        document.getElementById('slideshowProgress').style.width = `${count ? (this.index + 1) / count * 100 : 0}%`;
+
+        const btn = document.getElementById('slideshowPlay');
+        btn.textContent = I18n.t(this.playing ? 'slideshow.pause' : 'slideshow.play');
+        btn.setAttribute('aria-pressed', String(this.playing));
+    },
+
+    /**
+     * Duration and crossfade inputs (seconds); the crossfade never outlasts a photo
+     */
+    updateSettings() {
+        const duration = parseFloat(document.getElementById('slideshowDuration').value);
+        const crossfade = parseFloat(document.getElementById('slideshowCrossfade').value);
+
+        if (duration >= 1 && duration <= 60) this.settings.duration = duration;
+        if (crossfade >= 0) this.settings.crossfade = Math.min(crossfade, this.settings.duration);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.settings));
+        document.getElementById('slideshowDuration').value = this.settings.duration;
+        document.getElementById('slideshowCrossfade').value = this.settings.crossfade;
+
+        this.updateRuntime();
+        this.schedule();
+    },
+
+    /**
+     * Each photo is on screen for the duration; crossfades overlap it
+     */
+    runtimeSeconds() {
+        return photoOrder.length * this.settings.duration;
+    },
+
+    updateRuntime() {
+        let text = I18n.t('slideshow.runtime', { time: this.formatTime(this.runtimeSeconds()) });
+        if (this.audio && isFinite(this.audio.duration)) {
+            const key = this.audio.duration < this.runtimeSeconds() ? 'slideshow.music_repeats' : 'slideshow.music_length';
+            text += ` · ${I18n.t(key, { time: this.formatTime(this.audio.duration) })}`;
+        }
+        document.getElementById('slideshowRuntime').textContent = text;
+    },
+
+    /**
+     * 75 -> "1:15", 3725 -> "1:02:05"
+     */
+    formatTime(seconds) {
+        seconds = Math.round(seconds);
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor(seconds % 3600 / 60);
+        const s = String(seconds % 60).padStart(2, '0');
+        return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    },
+
+    /**
+     * Background music from a local file - played from memory, never uploaded
+     */
+    loadAudio(file) {
+        if (this.audio) this.audio.pause();
+        if (this.audioUrl) URL.revokeObjectURL(this.audioUrl);
+        this.audio = null;
+        this.audioUrl = null;
+
+        if (!file) {
+            this.updateRuntime();
+            return;
+        }
+
+        this.audioUrl = URL.createObjectURL(file);
+        this.audio = new Audio(this.audioUrl);
+        this.audio.loop = true;
+        this.audio.addEventListener('loadedmetadata', () => {
+            this.syncAudio();
+            this.updateRuntime();
+        });
+        if (this.playing) this.audio.play().catch(() => {});
+        console.log(`[SLIDESHOW] Music: ${file.name}`);
+    },
+
+    /**
+     * Keep the music where it would be at this photo
+     */
+    syncAudio() {
+        if (!this.audio || !isFinite(this.audio.duration) || !this.audio.duration) return;
+        this.audio.currentTime = (this.index * this.settings.duration) % this.audio.duration;
+    },
+
+    /**
+     * Called from onOrderChanged(): stay on the same photo, or the next one if it was deleted
+     */
+    refresh() {
+        if (!this.isOpen) return;
+
+        if (photoOrder.length === 0) {
+            this.close();
+            return;
+        }
+        if (photoOrder.includes(this.s3Key)) {
+            this.index = photoOrder.indexOf(this.s3Key);
+            this.updateControls();
+        } else {
+            this.show(Math.min(this.index, photoOrder.length - 1));
+        }
+        this.updateRuntime();
+    }
+};
@@ -0,0 +1,180 @@
+// Memorial Video AI - Telemetry
+// Structured events for the things the console logs can't tell us after the fact:
+// load timing and source (custom order or manifest), image failures, edits, delete and
+// download outcomes. Events are batched and POSTed as JSON to TELEMETRY_URL:
+//   { uid, session, brand, locale, user_agent, sent_at, events: [{ event, at, ms, ...data }] }
+// With TELEMETRY_URL empty nothing is sent. To try it against a local stub collector,
+// set localStorage.telemetryUrl (e.g. to http://localhost:8787/events) and reload.
+// The last events are always kept in memory for "Copy diagnostics" in the footer,
+// which puts them on the clipboard for a support email.
+
+const Telemetry = {
+
+    BATCH_SIZE: 20,
+    FLUSH_MS: 15000,
+    MAX_QUEUED: 200,            // unsent events kept while the collector is unreachable
+    MAX_RECENT: 100,            // events kept for "Copy diagnostics"
+
+    session: null,
+    queue: [],
+    recent: [],
+    timer: null,
+    sending: false,
+
+    /**
+     * Start the session - called before anything else so load timing covers the whole page
+     */
+    init() {
+        this.session = Math.random().toString(36).slice(2, 10);
+
+        // Whatever is still queued goes out with the page
+        window.addEventListener('pagehide', () => this.flush({ keepalive: true }));
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush({ keepalive: true });
+        });
+    },
+
+    endpoint() {
+        try {
+            return localStorage.getItem('telemetryUrl') || TELEMETRY_URL;
+        } catch (e) {
+            return TELEMETRY_URL;
+        }
+    },
+
+    /**
+     * Record an event
+     * @param {string} event - e.g. 'load', 'image_failed', 'download'
+     * @param {Object} [data] - Flat, JSON-safe details
+     */
+    track(event, data = {}) {
+        const entry = {
+            event: event,
+            at: new Date().toISOString(),
+            ms: Math.round(performance.now()),      // since the page started loading
+            ...data
+        };
+
+        this.recent.push(entry);
+        if (this.recent.length > this.MAX_RECENT) this.recent.shift();
+
+        if (!this.endpoint()) return;
+        this.queue.push(entry);
+        if (this.queue.length > this.MAX_QUEUED) this.queue.shift();
+
+        if (this.queue.length >= this.BATCH_SIZE) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.FLUSH_MS);
+        }
+    },
+
+    /**
+     * Record a failure with its message
+     */
+    error(event, error, data = {}) {
+        this.track(event, { ...data, error: (error && error.message) || String(error) });
+    },
+
+    /**
+     * Send the queued events as one batch; failed batches are put back for the next try
+     * @param {Object} options - { keepalive } when the page is closing
+     */
+    async flush(options = {}) {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const url = this.endpoint();
+        if (!url || this.queue.length === 0 || (this.sending && !options.keepalive)) return;
+
+        const batch = this.queue.splice(0, this.queue.length);
+        this.sending = true;
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ ...this.context(), sent_at: new Date().toISOString(), events: batch }),
+                keepalive: !!options.keepalive
+            });
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        } catch (error) {
+            console.log(`[TELEMETRY] Could not send ${batch.length} events:`, error.message);
+            this.queue.unshift(...batch.slice(-(this.MAX_QUEUED - this.queue.length)));
+            if (!this.timer) this.timer = setTimeout(() => this.flush(), this.FLUSH_MS);
+        } finally {
+            this.sending = false;
+        }
+    },
+
+    context() {
+        return {
+            uid: uid,
+            session: this.session,
+            brand: Brand.key,
+            locale: I18n.locale,
+            user_agent: navigator.userAgent
+        };
+    },
+
+    /**
+     * Plain-text report for support: the context, page state and recent events
+     */
+    diagnostics() {
+        const context = this.context();
+        const lines = [
+            `Order ID: ${context.uid || '(none)'}`,
+            `Session: ${context.session}`,
+            `Brand: ${context.brand}  Language: ${context.locale}  Access: ${LinkAccess.role}`,
+            `Browser: ${context.user_agent}`,
+            `Screen: ${window.innerWidth}x${window.innerHeight}`,
+            `Photos: ${photoOrder.length}  Broken: ${BrokenPhotos.keys().length}  Pending deletes: ${DeleteQueue.items.length}`,
+            `Time: ${new Date().toISOString()}`,
+            '',
+            'Recent events:'
+        ];
+
+        this.recent.forEach(entry => {
+            const { event, at, ms, ...data } = entry;
+            lines.push(`${at} +${ms}ms ${event} ${JSON.stringify(data)}`);
+        });
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Footer button: diagnostics to the clipboard, for pasting into a support email
+     */
+    async copyDiagnostics() {
+        const btn = document.getElementById('copyDiagnosticsBtn');
+        const text = this.diagnostics();
+        let copied = false;
+
+        try {
+            await navigator.clipboard.writeText(text);
+            copied = true;
+        } catch (e) {
+            // Older browsers / no clipboard permission: copy from a hidden textarea
+            const area = document.createElement('textarea');
+            area.value = text;
+            area.setAttribute('readonly', '');
+            area.style.position = 'fixed';
+            area.style.opacity = '0';
+            document.body.appendChild(area);
+            area.select();
+            try {
+                copied = document.execCommand('copy');
+            } catch (err) {
+                copied = false;
+            }
+            area.remove();
+        }
+
+        console.log(`[TELEMETRY] Diagnostics ${copied ? 'copied' : 'could not be copied'}`);
+        btn.textContent = I18n.t(copied ? 'diagnostics.copied' : 'diagnostics.failed');
+        setTimeout(() => {
+            btn.textContent = I18n.t('diagnostics.copy');
+        }, 3000);
+    }
+};
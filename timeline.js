@@ -0,0 +1,200 @@
+// Memorial Video AI - Timeline
+// A scrubber down the side of the gallery with one segment per age range (from the
+// bucket prefix in the filenames) and the matching calendar years (from the birthdate).
+// Segments are sized by the years they cover and filled by photos per year, so
+// stretches of life with few or no photos stand out. Clicking a segment, or typing an
+// age or a year into the toolbar box, scrolls to the first photo of that period.
+
+const Timeline = {
+
+    enabled: false,
+    activeBucket: null,
+    scrollPending: false,
+
+    init() {
+        if (!this.enabled) {
+            this.enabled = true;
+            window.addEventListener('scroll', () => this.scheduleTrack(), { passive: true });
+            window.addEventListener('resize', () => this.scheduleTrack());
+        }
+        this.refresh();
+    },
+
+    birthYear() {
+        return PhotoDating.birthdate ? PhotoDating.birthdate.getFullYear() : null;
+    },
+
+    /**
+     * Age ranges in age order, with the gaps between them
+     * @returns {Array} [{ bucket, min, max, count, first }] - gaps have bucket null and count 0
+     */
+    periods() {
+        const byBucket = new Map();
+        photoOrder.forEach(s3Key => {
+            const bucket = getPhotoBucket(s3Key);
+            if (!bucket) return;
+            if (!byBucket.has(bucket)) {
+                const [min, max] = bucket.split('-').map(n => parseInt(n, 10));
+                byBucket.set(bucket, { bucket, min, max, count: 0 });
+            }
+            byBucket.get(bucket).count++;
+        });
+
+        const periods = [];
+        let next = 0;
+        Array.from(byBucket.values())
+            .sort((a, b) => a.min - b.min || a.max - b.max)
+            .forEach(period => {
+                if (period.min > next) {
+                    periods.push({ bucket: null, min: next, max: period.min - 1, count: 0 });
+                }
+                periods.push(period);
+                next = Math.max(next, period.max + 1);
+            });
+        return periods;
+    },
+
+    /**
+     * "1951–1955", or '' without a birthdate
+     */
+    yearLabel(min, max) {
+        const birthYear = this.birthYear();
+        if (birthYear === null) return '';
+        return min === max ? String(birthYear + min) : `${birthYear + min}–${birthYear + max}`;
+    },
+
+    /**
+     * Called from onOrderChanged() and once the birthdate is known
+     */
+    refresh() {
+        if (!this.enabled) return;
+
+        const periods = this.periods();
+        const nav = document.getElementById('timeline');
+        const withPhotos = periods.filter(period => period.count);
+        nav.style.display = withPhotos.length > 1 ? '' : 'none';
+
+        const density = period => period.count / (period.max - period.min + 1);
+        // Relative to the busiest period (densities are often below one photo a year)
+        const maxDensity = withPhotos.length ? Math.max(...withPhotos.map(density)) : 1;
+
+        nav.querySelector('.timeline-track').innerHTML = periods.map(period => {
+            const ages = GallerySections.label(`${period.min}-${period.max}`);
+            const years = this.yearLabel(period.min, period.max);
+            const label = years ? I18n.t('timeline.ages_years', { ages, years }) : ages;
+            const span = period.max - period.min + 1;
+
+            if (!period.count) {
+                const text = I18n.t('timeline.gap', { label });
+                return `
+                    <li class="timeline-period gap" style="flex-grow: ${span}" title="${escapeHtml(text)}">
+                        <span class="sr-only">${escapeHtml(text)}</span>
+                    </li>`;
+            }
+
+            const text = I18n.t('timeline.period', { label, count: period.count });
+            return `
+                <li class="timeline-period" style="flex-grow: ${span}">
+                    <button type="button" class="timeline-segment" data-bucket="${escapeHtml(period.bucket)}" title="${escapeHtml(text)}">
+                        <span class="timeline-density" style="width: ${Math.round(density(period) / maxDensity * 100)}%"></span>
+                        <span class="timeline-label">${escapeHtml(ages)}${years ? `<small>${escapeHtml(years)}</small>` : ''}</span>
+                        <span class="sr-only">${escapeHtml(text)}</span>
+                    </button>
+                </li>`;
+        }).join('');
+
+        nav.querySelectorAll('.timeline-segment').forEach(btn => {
+            btn.addEventListener('click', () => this.goTo(btn.dataset.bucket));
+        });
+
+        document.getElementById('timelineJump').placeholder = I18n.t(this.birthYear() !== null ? 'timeline.jump_placeholder_year' : 'timeline.jump_placeholder');
+        this.activeBucket = null;
+        this.track();
+    },
+
+    /**
+     * Scroll to the first shown photo of an age range
+     */
+    goTo(bucket) {
+        const s3Key = visiblePhotoOrder().find(key => getPhotoBucket(key) === bucket);
+        if (!s3Key) {
+            GalleryKeyboard.announce(I18n.t('timeline.none_shown', { label: GallerySections.label(bucket) }));
+            return;
+        }
+
+        // Grouped view: open the section first so there is a tile to scroll to
+        const section = document.querySelector(`.age-section.collapsed[data-bucket="${bucket}"]`);
+        if (section) GallerySections.toggleSection(section);
+
+        scrollToPhoto(s3Key);
+        this.setActive(bucket);
+        console.log(`[TIMELINE] Jumped to ${bucket}`);
+    },
+
+    /**
+     * Toolbar box: "30" is an age, "1985" a year (when the birthdate is known)
+     */
+    jump(text) {
+        text = text.trim();
+        if (!/^\d+$/.test(text)) {
+            GalleryKeyboard.announce(I18n.t('timeline.enter_number'));
+            return;
+        }
+
+        const birthYear = this.birthYear();
+        let age = parseInt(text, 10);
+        if (text.length === 4) {
+            if (birthYear === null) {
+                GalleryKeyboard.announce(I18n.t('timeline.no_birthdate'));
+                return;
+            }
+            age -= birthYear;
+        }
+
+        const periods = this.periods().filter(period => period.count);
+        const exact = periods.find(period => period.min <= age && age <= period.max);
+        const target = exact || periods.find(period => period.min > age) || periods[periods.length - 1];
+        if (!target) return;
+
+        if (!exact) {
+            const label = GallerySections.label(target.bucket);
+            GalleryKeyboard.announce(text.length === 4
+                ? I18n.t('timeline.nearest_year', { year: text, label })
+                : I18n.t('timeline.nearest_age', { age, label }));
+        }
+        this.goTo(target.bucket);
+    },
+
+    scheduleTrack() {
+        if (this.scrollPending) return;
+        this.scrollPending = true;
+        requestAnimationFrame(() => {
+            this.scrollPending = false;
+            this.track();
+        });
+    },
+
+    /**
+     * Highlight the age range of the first photo on screen
+     */
+    track() {
+        const tiles = document.querySelectorAll('#photoGallery .photo-item');
+        const top = Array.from(tiles).find(tile => tile.getBoundingClientRect().bottom > 0);
+        if (top) this.setActive(getPhotoBucket(top.dataset.s3Key));
+    },
+
+    setActive(bucket) {
+        if (bucket === this.activeBucket) return;
+        this.activeBucket = bucket;
+
+        document.querySelectorAll('#timeline .timeline-segment').forEach(btn => {
+            const active = btn.dataset.bucket === bucket;
+            btn.classList.toggle('active', active);
+            if (active) {
+                btn.setAttribute('aria-current', 'true');
+            } else {
+                btn.removeAttribute('aria-current');
+            }
+        });
+    }
+};
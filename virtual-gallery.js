@@ -0,0 +1,167 @@
+// Memorial Video AI - Virtualized Gallery
+// For large orders only the rows near the viewport are mounted; spacers stand in
+// for the rest so the scrollbar and drag auto-scroll still cover the whole list.
+// Works per grid, so the flat gallery and each age section window independently.
+
+const VirtualGallery = {
+
+    MIN_PHOTOS: 300,        // smaller orders render every tile
+    BUFFER_PX: 800,         // extra height mounted above and below the viewport
+
+    active: false,
+    dragging: false,
+    grids: new Map(),       // container -> { keys, start, end }
+    frame: null,
+
+    /**
+     * Turn windowing on for large orders and follow scroll/resize
+     */
+    init(photoCount) {
+        this.active = photoCount >= this.MIN_PHOTOS;
+        if (!this.active) return;
+
+        console.log(`[VIRTUAL] Windowed rendering on for ${photoCount} photos`);
+        window.addEventListener('scroll', () => this.scheduleRefresh(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleRefresh());
+    },
+
+    scheduleRefresh() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.refresh();
+        });
+    },
+
+    /**
+     * Re-window every grid with its current keys (after scrolling, resizing, expanding a section)
+     */
+    refresh() {
+        this.grids.forEach((state, container) => {
+            if (!container.isConnected) {
+                this.grids.delete(container);
+                return;
+            }
+            this.render(container, state.keys);
+        });
+        updateDisplayNumbers();
+    },
+
+    /**
+     * Measure the grid: columns and row pitch from the computed template
+     * @returns {Object|null} { columns, rowHeight, gap } or null if not laid out
+     */
+    measure(container) {
+        const style = getComputedStyle(container);
+        const columnWidths = style.gridTemplateColumns.split(' ').map(parseFloat).filter(n => n > 0);
+        if (columnWidths.length === 0) return null;
+
+        const gap = parseFloat(style.rowGap) || 0;
+        return {
+            columns: columnWidths.length,
+            rowHeight: columnWidths[0] + gap,   // tiles are square
+            gap: gap
+        };
+    },
+
+    /**
+     * Mount the window of `keys` that is near the viewport
+     */
+    render(container, keys) {
+        const layout = container.offsetParent !== null && this.measure(container);
+        const state = this.grids.get(container) || { keys: keys, start: 0, end: 0 };
+        state.keys = keys;
+        this.grids.set(container, state);
+
+        if (!layout) {
+            // Hidden (collapsed section) or not laid out yet - nothing to window against
+            if (container.offsetParent === null) {
+                placeTiles(container, []);
+                state.start = state.end = 0;
+            } else {
+                placeTiles(container, keys);
+                state.start = 0;
+                state.end = keys.length;
+            }
+            return;
+        }
+
+        const top = container.getBoundingClientRect().top;
+        const totalRows = Math.ceil(keys.length / layout.columns);
+        const firstRow = Math.max(0, Math.floor((-top - this.BUFFER_PX) / layout.rowHeight));
+        const lastRow = Math.min(totalRows, Math.ceil((window.innerHeight - top + this.BUFFER_PX) / layout.rowHeight));
+
+        let start = Math.min(keys.length, firstRow * layout.columns);
+        let end = Math.min(keys.length, Math.max(firstRow, lastRow) * layout.columns);
+
+        if (this.dragging) {
+            // Never pull tiles out from under Sortable mid-drag: only grow the window
+            start = Math.min(start, state.start);
+            end = Math.max(end, state.end);
+            this.grow(container, state, start, end);
+        } else {
+            placeTiles(container, keys.slice(start, end));
+        }
+
+        state.start = start;
+        state.end = end;
+        this.placeSpacers(container, layout, start / layout.columns, totalRows - Math.ceil(end / layout.columns));
+    },
+
+    /**
+     * Mount extra tiles at the edges of the window without touching the ones in between
+     */
+    grow(container, state, start, end) {
+        const mounted = Array.from(container.querySelectorAll(':scope > .photo-item'));
+        const first = mounted[0] || null;
+
+        state.keys.slice(start, state.start).forEach(s3Key => {
+            container.insertBefore(getPhotoTile(s3Key), first);
+        });
+
+        const bottomSpacer = container.querySelector(':scope > .virtual-spacer.bottom');
+        state.keys.slice(state.end, end).forEach(s3Key => {
+            container.insertBefore(getPhotoTile(s3Key), bottomSpacer);
+        });
+    },
+
+    placeSpacers(container, layout, rowsAbove, rowsBelow) {
+        ['top', 'bottom'].forEach(position => {
+            let spacer = container.querySelector(`:scope > .virtual-spacer.${position}`);
+            if (!spacer) {
+                spacer = document.createElement('div');
+                spacer.className = `virtual-spacer ${position}`;
+                spacer.setAttribute('aria-hidden', 'true');
+            }
+
+            const rows = position === 'top' ? rowsAbove : rowsBelow;
+            spacer.style.height = `${Math.max(0, rows * layout.rowHeight - layout.gap)}px`;
+            spacer.style.display = rows > 0 ? '' : 'none';
+
+            if (position === 'top') {
+                container.insertBefore(spacer, container.firstElementChild);
+            } else {
+                container.appendChild(spacer);
+            }
+        });
+    },
+
+    /**
+     * Scroll so a photo that may not be mounted is in view
+     */
+    scrollTo(s3Key) {
+        for (const [container, state] of this.grids) {
+            const index = state.keys.indexOf(s3Key);
+            if (index === -1) continue;
+
+            const layout = this.measure(container);
+            if (!layout) return;
+
+            const row = Math.floor(index / layout.columns);
+            const y = container.getBoundingClientRect().top + window.scrollY + row * layout.rowHeight;
+            window.scrollTo({ top: Math.max(0, y - window.innerHeight / 2 + layout.rowHeight / 2) });
+            this.refresh();
+            return;
+        }
+    }
+};
@@ -0,0 +1,192 @@
+// Memorial Video AI - Background Zip Jobs
+// Large orders take longer to zip than one request should stay open, so the ZIP Lambda
+// runs the zip as a job and the page polls it:
+//   POST ZIP_LAMBDA_URL { uid, photo_order, naming, bucket_changes, date_corrections, async: true } -> { job_id }
+//   GET  ZIP_LAMBDA_URL?uid=...&job_id=... -> { status: 'queued' | 'running' | 'done' | 'failed',
+//        percent, download_url?, email_sent?, photo_count?, error? }
+// Errors marked final (the request was refused with a 4xx, or the job failed, expired or
+// finished without a zip) are the Lambda's answer; anything else means it couldn't be
+// reached. Only those may fall back to building the zip in the browser.
+// A Lambda that answers the POST with download_url straight away (the synchronous
+// protocol) still works. The job id is kept in localStorage per order, so a reload
+// or a closed tab picks the job back up and keeps polling.
+
+const ZipJob = {
+
+    POLL_MS: 2000,
+    MAX_POLL_ERRORS: 5,             // consecutive failed status checks before giving up
+    MAX_AGE_MS: 60 * 60 * 1000,     // give up on a job (and forget a stored one) after this long
+    STORAGE_PREFIX: 'zipJob:',
+
+    job: null,                      // { id, started_at, photo_count }
+
+    storageKey() {
+        return `${this.STORAGE_PREFIX}${uid}`;
+    },
+
+    /**
+     * Start a zip of the current order
+     * @param {Object} request - Body for the ZIP Lambda
+     * @returns {Promise<Object>} { download_url, email_sent, photo_count } once the zip is ready
+     */
+    async start(request) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), ZIP_LAMBDA_TIMEOUT_MS);
+
+        let response;
+        try {
+            response = await fetch(ZIP_LAMBDA_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ ...request, async: true }),
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const final = this.refused(response.status);
+            // A refusal is shown to the customer; other errors only reach the console
+            throw Object.assign(new Error(errorData.error || (final ? I18n.t('zipjob.failed') : `Server error: ${response.status}`)),
+                { final });
+        }
+
+        const result = await response.json();
+        console.log('[ZIP JOB] Lambda response:', result);
+
+        // Synchronous Lambda - the zip is already built
+        if (!result.job_id) return this.finish(result);
+
+        this.job = { id: result.job_id, started_at: Date.now(), photo_count: request.photo_order.length };
+        localStorage.setItem(this.storageKey(), JSON.stringify(this.job));
+        Telemetry.track('zip_job', { job_id: this.job.id, state: 'started', photos: this.job.photo_count });
+        console.log(`[ZIP JOB] Started ${this.job.id}`);
+
+        return this.poll();
+    },
+
+    /**
+     * A job left running by an earlier visit, if it is recent enough to pick up
+     */
+    pending() {
+        try {
+            const job = JSON.parse(localStorage.getItem(this.storageKey()));
+            if (job && job.id && Date.now() - job.started_at < this.MAX_AGE_MS) {
+                this.job = job;
+                return job;
+            }
+        } catch (e) {}
+
+        this.clear();
+        return null;
+    },
+
+    /**
+     * Check the job until it is done
+     * @returns {Promise<Object>} The finished job's result
+     * @throws {Error} When the job fails, disappears or can't be reached
+     */
+    async poll() {
+        const job = this.job;
+        const url = new URL(ZIP_LAMBDA_URL);
+        url.searchParams.set('uid', uid);
+        url.searchParams.set('job_id', job.id);
+        Object.entries(LinkAccess.requestFields()).forEach(([name, value]) => url.searchParams.set(name, value));
+
+        let errors = 0;
+        this.showProgress({ status: 'queued', percent: 0 });
+
+        try {
+            for (;;) {
+                // A job stuck in queued/running must not keep the download buttons disabled forever
+                if (Date.now() - job.started_at > this.MAX_AGE_MS) {
+                    throw Object.assign(new Error(I18n.t('zipjob.timeout')), { final: true });
+                }
+
+                let status;
+                try {
+                    const response = await fetch(url, { cache: 'no-store' });
+                    if (response.status === 404) {
+                        throw Object.assign(new Error(I18n.t('zipjob.expired')), { final: true });
+                    }
+                    if (!response.ok) {
+                        const final = this.refused(response.status);
+                        throw Object.assign(new Error(final ? I18n.t('zipjob.failed') : `Server error: ${response.status}`), { final });
+                    }
+                    status = await response.json();
+                    errors = 0;
+                } catch (error) {
+                    if (error.final || ++errors >= this.MAX_POLL_ERRORS) throw error;
+                    console.log(`[ZIP JOB] Status check failed (${errors}/${this.MAX_POLL_ERRORS}):`, error.message);
+                    await this.wait();
+                    continue;
+                }
+
+                if (status.status === 'done') {
+                    console.log(`[ZIP JOB] ${job.id} done`);
+                    Telemetry.track('zip_job', { job_id: job.id, state: 'done', duration_ms: Date.now() - job.started_at });
+                    return this.finish({ photo_count: job.photo_count, ...status });
+                }
+                if (status.status === 'failed') {
+                    throw Object.assign(new Error(status.error || I18n.t('zipjob.failed')), { final: true });
+                }
+
+                this.showProgress(status);
+                await this.wait();
+            }
+        } catch (error) {
+            Telemetry.error('zip_job', error, { job_id: job.id, state: 'failed' });
+            throw error;
+        } finally {
+            this.clear();
+            this.hideProgress();
+        }
+    },
+
+    /**
+     * A 4xx is the Lambda turning the request down (e.g. the link's role can't download) -
+     * building the zip in the browser instead would get around it. Timeouts and rate
+     * limits are worth retrying.
+     */
+    refused(status) {
+        return status >= 400 && status < 500 && status !== 408 && status !== 429;
+    },
+
+    wait() {
+        return new Promise(resolve => setTimeout(resolve, this.POLL_MS));
+    },
+
+    finish(result) {
+        if (!result.download_url && !result.email_sent) {
+            throw Object.assign(new Error(result.error || I18n.t('zipjob.no_link')), { final: true });
+        }
+        return result;
+    },
+
+    clear() {
+        this.job = null;
+        try {
+            localStorage.removeItem(this.storageKey());
+        } catch (e) {}
+    },
+
+    showProgress(status) {
+        const el = document.getElementById('zipJobProgress');
+        const percent = Math.max(0, Math.min(100, Math.round(status.percent || 0)));
+
+        el.style.display = 'block';
+        el.querySelector('.zip-progress-bar').setAttribute('aria-valuenow', percent);
+        el.querySelector('.zip-progress-fill').style.width = `${percent}%`;
+        el.querySelector('.zip-progress-text').textContent = status.status === 'running'
+            ? I18n.t('zipjob.running', { percent })
+            : I18n.t('zipjob.queued');
+    },
+
+    hideProgress() {
+        document.getElementById('zipJobProgress').style.display = 'none';
+    }
+};